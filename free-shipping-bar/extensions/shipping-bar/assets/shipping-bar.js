@@ -0,0 +1,405 @@
+/*
+  Barra de envío gratis: script compartido por el bloque de app y el app embed.
+  Cada barra ([data-shipping-bar]) trae su configuración en un JSON
+  ([data-shipping-bar-config]) generado por snippets/shipping-bar.liquid.
+*/
+(function() {
+  // Carrito compartido por todas las barras de la página: una sola lectura de /cart.js
+  // y una actualización solo cuando el carrito cambia (sin polling)
+  if (!window.FreeShippingBarCart) {
+    window.FreeShippingBarCart = (function() {
+      const CART_MUTATION_URL = /\/cart\/(add|change|update|clear)(\.js|\.json)?(\?|#|$)/;
+      // Eventos que disparan los temas más comunes al cambiar el carrito
+      const THEME_EVENTS = ['cart:updated', 'cart:refresh', 'cart:change', 'cart-drawer:refresh', 'ajaxProduct:added', 'theme:cart:change'];
+      const listeners = [];
+      let current = null;
+      let pending = null;
+      let stale = false;
+
+      function publish(cart, error) {
+        if (cart) current = cart;
+        listeners.forEach((listener) => listener(cart, error));
+      }
+
+      // Lee /cart.js; con `afterChange` una lectura en curso no sirve (puede ser anterior
+      // al cambio) y se repite al terminar. Las demás llamadas comparten la lectura en curso
+      function refresh(afterChange) {
+        if (pending) {
+          if (afterChange) stale = true;
+          return pending;
+        }
+        pending = fetch('/cart.js', { credentials: 'same-origin' })
+          .then((response) => response.json())
+          .then((cart) => publish(cart))
+          .catch((error) => publish(null, error))
+          .finally(() => {
+            pending = null;
+            if (stale) {
+              stale = false;
+              refresh();
+            }
+          });
+        return pending;
+      }
+
+      // change/update/clear (también con `sections` de la Section Rendering API) responden
+      // con el carrito completo y se usa tal cual; add solo trae los items agregados
+      function handleCartResponse(data) {
+        if (data && Array.isArray(data.items) && typeof data.total_price === 'number' && typeof data.item_count === 'number') {
+          publish(data);
+        } else {
+          refresh(true);
+        }
+      }
+
+      const originalFetch = window.fetch;
+      window.fetch = function(input) {
+        const request = originalFetch.apply(this, arguments);
+        const url = input && input.url ? input.url : String(input);
+        if (CART_MUTATION_URL.test(url)) {
+          request
+            .then((response) => {
+              if (response.ok) response.clone().json().then(handleCartResponse, () => refresh(true));
+            })
+            .catch(() => {});
+        }
+        return request;
+      };
+
+      const originalOpen = XMLHttpRequest.prototype.open;
+      XMLHttpRequest.prototype.open = function(method, url) {
+        if (CART_MUTATION_URL.test(String(url))) {
+          this.addEventListener('load', function() {
+            if (this.status < 200 || this.status >= 300) return;
+            let data = null;
+            try {
+              data = this.responseType === 'json' ? this.response : JSON.parse(this.responseText);
+            } catch (error) {
+              // Respuesta HTML (ej: formulario sin AJAX): se relee el carrito
+            }
+            handleCartResponse(data);
+          });
+        }
+        return originalOpen.apply(this, arguments);
+      };
+
+      THEME_EVENTS.forEach((name) => {
+        document.addEventListener(name, (event) => {
+          const detail = event.detail || {};
+          handleCartResponse(detail.cart || detail);
+        });
+      });
+      // Al volver con el botón atrás la página sale del bfcache con el carrito antiguo
+      window.addEventListener('pageshow', (event) => {
+        if (event.persisted) refresh(true);
+      });
+
+      function subscribe(listener) {
+        listeners.push(listener);
+        if (current) listener(current);
+        else refresh();
+      }
+
+      return { subscribe, refresh };
+    })();
+  }
+
+  const FORMATTERS = {};
+  // Raíz de las rutas de la tienda con el prefijo del idioma/mercado (ej: /es/)
+  const ROOT = (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/';
+  // Recomendaciones por producto del carrito, compartidas por todas las barras de la página
+  const RECOMMENDATIONS = {};
+  // Productos del carrito que se usan para pedir recomendaciones (los más recientes primero)
+  const RECOMMENDATION_SOURCES = 3;
+
+  // Reemplaza {{ amount }}, {{ label }}, ... en los textos de la configuración y de los locales
+  function interpolate(text, values) {
+    return (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+  }
+
+  function formatMoney(cents, currency, locale) {
+    const key = `${locale}|${currency}`;
+    if (!FORMATTERS[key]) {
+      try {
+        FORMATTERS[key] = new Intl.NumberFormat(locale, { style: 'currency', currency });
+      } catch (error) {
+        // Locale inválido para Intl (ej: región desconocida): se usa el del navegador
+        FORMATTERS[key] = new Intl.NumberFormat(undefined, { style: 'currency', currency });
+      }
+    }
+    return FORMATTERS[key].format(Math.round(cents) / 100);
+  }
+
+  // "USD: 30 / 50 / 80" o "peru: 180" (una por línea, un monto por meta en orden)
+  // -> { usd: [3000, 5000, 8000], peru: [18000] } en centavos
+  function parseThresholds(text) {
+    const thresholds = {};
+    (text || '').split(/[\n;]/).forEach((line) => {
+      const match = /^\s*([\w-]+)\s*[:=]\s*(\d+(?:[.,]\d+)?(?:\s*\/\s*\d+(?:[.,]\d+)?)*)\s*$/.exec(line);
+      if (match) {
+        thresholds[match[1].toLowerCase()] = match[2].split('/').map((amount) => Math.round(Number(amount.trim().replace(',', '.')) * 100));
+      }
+    });
+    return thresholds;
+  }
+
+  // Producto de /recommendations/products.json -> sugerencia con su primera variante disponible
+  function toSuggestion(product) {
+    const variant = (product.variants || []).find((candidate) => candidate.available);
+    if (!variant) return null;
+    const image = product.featured_image ? `${product.featured_image}${product.featured_image.includes('?') ? '&' : '?'}width=120` : null;
+    return { productId: product.id, variantId: variant.id, title: product.title, url: product.url, image, price: variant.price };
+  }
+
+  function fetchRecommendations(productId) {
+    if (!RECOMMENDATIONS[productId]) {
+      RECOMMENDATIONS[productId] = fetch(`${ROOT}recommendations/products.json?product_id=${productId}&limit=10&intent=related`)
+        .then((response) => {
+          if (!response.ok) throw new Error(`recommendations ${response.status}`);
+          return response.json();
+        })
+        .then((data) => (data.products || []).map(toSuggestion).filter(Boolean))
+        .catch((error) => {
+          // Sin caché para reintentar en la próxima actualización del carrito
+          console.error("Error al cargar las recomendaciones:", error);
+          delete RECOMMENDATIONS[productId];
+          return [];
+        });
+    }
+    return RECOMMENDATIONS[productId];
+  }
+
+  // Candidatas que no están en el carrito (sin repetir), ordenadas por cercanía de su precio a lo que falta
+  function pickSuggestions(candidates, cart, remaining, limit) {
+    const excluded = new Set(cart.items.map((item) => item.product_id));
+    return candidates
+      .filter((suggestion) => {
+        if (!suggestion.variantId || excluded.has(suggestion.productId)) return false;
+        excluded.add(suggestion.productId);
+        return true;
+      })
+      .sort((a, b) => Math.abs(a.price - remaining) - Math.abs(b.price - remaining))
+      .slice(0, limit);
+  }
+
+  function initShippingBar(container) {
+    if (container.dataset.shippingBarReady) return;
+    container.dataset.shippingBarReady = 'true';
+
+    const config = JSON.parse(container.querySelector('[data-shipping-bar-config]').textContent);
+    // Metas en el orden de la configuración (las sin monto no se muestran); la primera es la de envío gratis
+    const MILESTONES = config.milestones.filter((milestone) => milestone.amount > 0);
+    const THRESHOLDS = parseThresholds(config.marketThresholds);
+
+    const MESSAGE_ELEM = container.querySelector('[data-shipping-bar-message]');
+    const TRACK_ELEM = container.querySelector('[data-shipping-bar-track]');
+    const PROGRESS_ELEM = container.querySelector('[data-shipping-bar-progress]');
+    const MILESTONES_ELEM = container.querySelector('[data-shipping-bar-milestones]');
+    const ANNOUNCER_ELEM = container.querySelector('[data-shipping-bar-announcer]');
+    // Solo existen con "Sugerir productos" activado
+    const SUGGESTIONS_ELEM = container.querySelector('[data-shipping-bar-suggestions]');
+    const SUGGESTIONS_LIST_ELEM = container.querySelector('[data-shipping-bar-suggestions-list]');
+
+    // El app embed se inyecta al final del body: se mueve arriba para que quede fijo al hacer scroll
+    if (container.classList.contains('shipping-bar--embed')) document.body.prepend(container);
+
+    // Metas alcanzadas en la última actualización (null antes de la primera: no se anuncia nada al cargar)
+    let reachedCount = null;
+    // Las sugerencias se cargan en paralelo: solo se dibujan las de la última actualización del carrito
+    let suggestionsRequest = 0;
+
+    // Metas en la moneda del carrito, de menor a mayor monto. Cada monto sale del mercado,
+    // luego de la moneda y si no, del de la tienda convertido con la tasa de la moneda de presentación
+    function milestonesFor(currency) {
+      const overrides = (config.market && THRESHOLDS[config.market.toLowerCase()]) || THRESHOLDS[currency.toLowerCase()] || [];
+      const rate = currency === config.shopCurrency ? 1 : Number(window.Shopify && window.Shopify.currency && window.Shopify.currency.rate) || 1;
+      return MILESTONES
+        .map((milestone, i) => ({ ...milestone, amount: overrides[i] !== undefined ? overrides[i] : Math.round(milestone.amount * rate) }))
+        .sort((a, b) => a.amount - b.amount);
+    }
+
+    // Marca sobre la barra e ícono/etiqueta debajo de cada meta, en % del monto de la última
+    function renderMilestones(milestones, total, justReached) {
+      const max = milestones[milestones.length - 1].amount;
+      TRACK_ELEM.querySelectorAll('.shipping-bar__tick').forEach((tick) => tick.remove());
+      MILESTONES_ELEM.innerHTML = '';
+
+      milestones.forEach((milestone, i) => {
+        const left = `${(milestone.amount / max) * 100}%`;
+        const isLast = i === milestones.length - 1;
+        if (!isLast) {
+          const tick = document.createElement('span');
+          tick.className = 'shipping-bar__tick';
+          tick.style.left = left;
+          TRACK_ELEM.appendChild(tick);
+        }
+
+        const marker = document.createElement('div');
+        marker.className = 'shipping-bar__milestone';
+        marker.classList.toggle('is-last', isLast);
+        marker.classList.toggle('is-reached', total >= milestone.amount);
+        marker.classList.toggle('just-reached', justReached.includes(milestone));
+        marker.style.left = left;
+        const icon = document.createElement('span');
+        icon.className = 'shipping-bar__milestone-icon';
+        icon.textContent = milestone.icon || '';
+        marker.appendChild(icon);
+        marker.appendChild(document.createTextNode(milestone.label || ''));
+        MILESTONES_ELEM.appendChild(marker);
+      });
+    }
+
+    // Colección elegida o recomendaciones de los productos del carrito
+    function suggestionCandidates(cart) {
+      if (config.suggestions.products) return Promise.resolve(config.suggestions.products);
+      const productIds = [...new Set(cart.items.map((item) => item.product_id))].slice(0, RECOMMENDATION_SOURCES);
+      return Promise.all(productIds.map(fetchRecommendations)).then((lists) => lists.flat());
+    }
+
+    // Agrega la sugerencia al carrito; el hook de fetch de FreeShippingBarCart relee el
+    // carrito y actualiza todas las barras (la sugerencia agregada deja de mostrarse)
+    function addSuggestion(suggestion, button) {
+      button.disabled = true;
+      button.textContent = config.suggestions.addingText;
+      fetch(`${ROOT}cart/add.js`, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({ items: [{ id: suggestion.variantId, quantity: 1 }] })
+      })
+        .then((response) => {
+          if (!response.ok) throw new Error(`cart/add.js ${response.status}`);
+        })
+        .catch((error) => {
+          console.error("Error al agregar la sugerencia al carrito:", error);
+          button.disabled = false;
+          button.textContent = config.suggestions.errorText;
+        });
+    }
+
+    function renderSuggestions(suggestions, currency) {
+      SUGGESTIONS_LIST_ELEM.innerHTML = '';
+      SUGGESTIONS_ELEM.hidden = !suggestions.length;
+
+      suggestions.forEach((suggestion) => {
+        const item = document.createElement('li');
+        item.className = 'shipping-bar__suggestion';
+
+        const link = document.createElement('a');
+        link.className = 'shipping-bar__suggestion-link';
+        link.href = suggestion.url;
+        if (suggestion.image) {
+          const image = document.createElement('img');
+          image.className = 'shipping-bar__suggestion-image';
+          image.src = suggestion.image;
+          image.alt = '';
+          image.loading = 'lazy';
+          image.width = 48;
+          image.height = 48;
+          link.appendChild(image);
+        }
+        const title = document.createElement('span');
+        title.className = 'shipping-bar__suggestion-title';
+        title.textContent = suggestion.title;
+        link.appendChild(title);
+
+        const price = document.createElement('span');
+        price.className = 'shipping-bar__suggestion-price';
+        price.textContent = formatMoney(suggestion.price, currency, config.locale);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'shipping-bar__suggestion-add';
+        button.textContent = config.suggestions.addText;
+        button.setAttribute('aria-label', interpolate(config.suggestions.addLabel, { title: suggestion.title }));
+        button.addEventListener('click', () => addSuggestion(suggestion, button));
+
+        item.appendChild(link);
+        item.appendChild(price);
+        item.appendChild(button);
+        SUGGESTIONS_LIST_ELEM.appendChild(item);
+      });
+    }
+
+    // Sugerencias para cerrar lo que falta para la próxima meta; sin meta pendiente se ocultan
+    function updateSuggestions(cart, remaining, currency) {
+      if (!SUGGESTIONS_ELEM) return;
+      const request = ++suggestionsRequest;
+      if (remaining <= 0) {
+        SUGGESTIONS_ELEM.hidden = true;
+        return;
+      }
+      suggestionCandidates(cart).then((candidates) => {
+        if (request !== suggestionsRequest) return;
+        renderSuggestions(pickSuggestions(candidates, cart, remaining, config.suggestions.limit), currency);
+      });
+    }
+
+    function updateShippingBar(cart, error) {
+      if (error) {
+        console.error("Error al actualizar la barra de envío:", error);
+        MESSAGE_ELEM.textContent = config.errorText;
+        return;
+      }
+      if (!MILESTONES.length) return;
+
+      try {
+        const currentTotal = cart.item_count ? cart.total_price : 0;
+        const currency = cart.currency || config.shopCurrency;
+        const milestones = milestonesFor(currency);
+        const max = milestones[milestones.length - 1].amount;
+        const reached = milestones.filter((milestone) => currentTotal >= milestone.amount);
+        const next = milestones[reached.length];
+
+        // Metas recién superadas (no al cargar la página): se destacan y se anuncian
+        const justReached = reachedCount !== null && reached.length > reachedCount ? reached.slice(reachedCount) : [];
+        reachedCount = reached.length;
+        if (justReached.length) {
+          ANNOUNCER_ELEM.textContent = justReached.map((milestone) => interpolate(config.reachedText, { label: milestone.label })).join(' ');
+        }
+
+        const percentage = Math.min((currentTotal / max) * 100, 100);
+        let message;
+        if (next) {
+          // Mensaje de la próxima meta con lo que falta para alcanzarla
+          const amount = formatMoney(next.amount - currentTotal, currency, config.locale);
+          message = interpolate(next.message, { amount, label: next.label });
+          TRACK_ELEM.setAttribute('aria-valuemax', next.amount);
+          TRACK_ELEM.setAttribute('aria-valuenow', currentTotal);
+          container.classList.remove('shipping-bar--completed');
+        } else {
+          message = config.completedText;
+          TRACK_ELEM.setAttribute('aria-valuemax', max);
+          TRACK_ELEM.setAttribute('aria-valuenow', max);
+          container.classList.add('shipping-bar--completed');
+        }
+
+        MESSAGE_ELEM.textContent = message;
+        TRACK_ELEM.setAttribute('aria-valuetext', message);
+        PROGRESS_ELEM.style.width = `${percentage}%`;
+        PROGRESS_ELEM.textContent = `${Math.round(percentage)}%`;
+        renderMilestones(milestones, currentTotal, justReached);
+        updateSuggestions(cart, next ? next.amount - currentTotal : 0, currency);
+
+      } catch (error) {
+        console.error("Error al actualizar la barra de envío:", error);
+        MESSAGE_ELEM.textContent = config.errorText;
+      }
+    }
+
+    window.FreeShippingBarCart.subscribe(updateShippingBar);
+  }
+
+  function initAll() {
+    document.querySelectorAll('[data-shipping-bar]').forEach(initShippingBar);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initAll);
+  } else {
+    initAll();
+  }
+  // Editor de temas: los bloques se vuelven a renderizar al cambiar su configuración
+  document.addEventListener('shopify:section:load', initAll);
+  document.addEventListener('shopify:block:select', initAll);
+})();
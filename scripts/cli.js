@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { pathToFileURL } from "url";
+import { loadLogLevel } from "./lib/config.js";
+import { createLogger } from "./lib/logger.js";
+import { run as importProducts } from "./product-upload.js";
+import { INVENTORY_REASONS, run as setInventory, rollback as rollbackInventory } from "./inventory-update.js";
+import { QUANTITY_NAMES, run as exportInventory } from "./inventory-export.js";
+import { MAX_CONCURRENCY } from "./lib/worker-pool.js";
+
+// Subcomandos disponibles: "<recurso> <acción>" -> función run del script
+const COMMANDS = {
+  "products import": importProducts,
+  "products plan": (options) => importProducts({ ...options, dryRun: true }),
+  "inventory set": setInventory,
+  // inventory rollback <snapshot.json | report.csv>
+  "inventory rollback": rollbackInventory,
+  "inventory export": exportInventory,
+};
+
+const USAGE = `
+Usage: pinlab <command> [options]
+
+Commands:
+  products import     Create or update products from a CSV
+  products plan       Resolve a products CSV against the store and write a plan report (no changes)
+  inventory set       Set or adjust (delta) inventory quantities from a CSV
+  inventory rollback <snapshot|report>
+                      Restore the quantities a previous inventory run overwrote
+  inventory export    Write the stock of every SKU and location in the inventory set CSV format
+
+Options:
+  -f, --file <path>         Input CSV (default: examples/products.csv | examples/inventory.csv)
+  -o, --report <path>       Output report path (default: reports/<kind>-<report|plan>-<timestamp>.csv)
+  -e, --env <profiles>      Load credentials from .env.<profile> instead of .env; a comma-separated list
+                            (chile,peru) runs the command on each store in turn, with one report per store
+      --api-version <ver>   Admin API version (overrides SHOPIFY_API_VERSION)
+      --dry-run             Resolve every row without writing to the store
+      --batch-size <n>      Inventory rows per inventorySetQuantities mutation (default 100, max 250)
+      --concurrency <n>     Rows (products) or batches (inventory) processed in parallel (default 4, max 16);
+                            rows of the same handle, SKU or SKU/location always run in file order
+      --safe                Inventory: send compareQuantity so concurrent stock changes are not overwritten
+      --on-conflict <mode>  With --safe: "report" (default) marks the row as conflict, "retry" re-reads and re-applies
+      --reason <reason>     Inventory: adjustment reason when the row has none (default correction; received, restock, shrinkage, ...)
+      --reference-document-uri <uri>
+                            Inventory: document behind the changes when the row has none (shown in the adjustment history)
+      --resume              Skip rows already done by a previous run of the same file (see reports/journal/)
+      --force               Run even when the CSV validation finds blocking errors (see <report>.validation.csv)
+      --quantities <list>   Export: extra columns besides available, comma-separated (on_hand,committed,incoming,...)
+      --bulk                Export: read through a GraphQL bulk operation (recommended for large stores)
+  -v, --verbose             Show every API step and throttle state
+  -q, --quiet               Only show warnings and errors
+  -h, --help                Show this help
+
+Exit codes: 0 = all rows ok, 1 = at least one row failed/conflicted (or a product could not be stocked at a location) or fatal error, 2 = invalid usage
+`;
+
+const OPTIONS = {
+  file: { type: "string", short: "f" },
+  report: { type: "string", short: "o" },
+  env: { type: "string", short: "e" },
+  "api-version": { type: "string" },
+  "dry-run": { type: "boolean", default: false },
+  "batch-size": { type: "string" },
+  concurrency: { type: "string" },
+  safe: { type: "boolean", default: false },
+  "on-conflict": { type: "string", default: "report" },
+  resume: { type: "boolean", default: false },
+  force: { type: "boolean", default: false },
+  reason: { type: "string" },
+  "reference-document-uri": { type: "string" },
+  quantities: { type: "string" },
+  bulk: { type: "boolean", default: false },
+  verbose: { type: "boolean", short: "v", default: false },
+  quiet: { type: "boolean", short: "q", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// out/report.csv -> out/report.chile.csv (un reporte por tienda al correr varios perfiles)
+const reportForProfile = (report, profile) => {
+  const ext = path.extname(report);
+  return `${report.slice(0, report.length - ext.length)}.${profile}${ext}`;
+};
+
+// Opciones de la línea de comandos comunes a todos los perfiles
+const commandOptions = (values, positionals, { batchSize, concurrency, quantities }) => ({
+  file: values.file,
+  snapshot: positionals[2],
+  apiVersion: values["api-version"],
+  dryRun: values["dry-run"],
+  batchSize,
+  concurrency,
+  safe: values.safe,
+  onConflict: values["on-conflict"],
+  resume: values.resume,
+  force: values.force,
+  reason: values.reason,
+  referenceDocumentUri: values["reference-document-uri"],
+  quantities,
+  bulk: values.bulk,
+});
+
+// Corre el comando en una tienda y devuelve su código de salida
+const runProfile = async (runCommand, options) => {
+  const { envProfile, logger } = options;
+  try {
+    const { summary } = await runCommand(options);
+    return summary.errors > 0 || summary.conflicts > 0 || summary.locationErrors > 0 ? 1 : 0;
+  } catch (err) {
+    logger.error(`Fatal error${envProfile ? ` (${envProfile})` : ""}:`, err.message);
+    logger.debug(err);
+    return 1;
+  }
+};
+
+// --verbose y --quiet mandan sobre LOG_LEVEL del .env del perfil. Si el perfil no se
+// puede leer se usa "info": el comando informa el error al cargar la configuración
+const logLevel = ({ verbose, quiet }, envProfile) => {
+  if (verbose) return "debug";
+  if (quiet) return "warn";
+  try {
+    return loadLogLevel(envProfile) || "info";
+  } catch {
+    return "info";
+  }
+};
+
+export const cli = async (argv = process.argv.slice(2)) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const command = positionals.slice(0, 2).join(" ");
+  const runCommand = COMMANDS[command];
+  if (!runCommand) {
+    console.error(command ? `Unknown command: ${command}` : "Missing command");
+    console.error(USAGE);
+    return 2;
+  }
+
+  const batchSize = values["batch-size"] === undefined ? undefined : parseInt(values["batch-size"], 10);
+  if (batchSize !== undefined && !(batchSize > 0)) {
+    console.error(`Invalid --batch-size: ${values["batch-size"]}`);
+    return 2;
+  }
+
+  const concurrency = values.concurrency === undefined ? undefined : parseInt(values.concurrency, 10);
+  if (concurrency !== undefined && !(concurrency > 0 && concurrency <= MAX_CONCURRENCY)) {
+    console.error(`Invalid --concurrency: ${values.concurrency} (expected 1-${MAX_CONCURRENCY})`);
+    return 2;
+  }
+
+  if (!["report", "retry"].includes(values["on-conflict"])) {
+    console.error(`Invalid --on-conflict: ${values["on-conflict"]} (expected "report" or "retry")`);
+    return 2;
+  }
+
+  if (values.reason !== undefined && !INVENTORY_REASONS.includes(values.reason)) {
+    console.error(`Invalid --reason: ${values.reason} (expected ${INVENTORY_REASONS.join(", ")})`);
+    return 2;
+  }
+
+  const quantities = values.quantities === undefined ? [] : values.quantities.split(",").map((q) => q.trim()).filter(Boolean);
+  const unknownQuantities = quantities.filter((q) => !QUANTITY_NAMES.includes(q));
+  if (unknownQuantities.length) {
+    console.error(`Invalid --quantities: ${unknownQuantities.join(", ")} (expected ${QUANTITY_NAMES.join(", ")})`);
+    return 2;
+  }
+
+  // Perfiles de tienda: sin --env se usa .env
+  const profiles = values.env === undefined ? [undefined] : values.env.split(",").map((p) => p.trim()).filter(Boolean);
+  if (!profiles.length || new Set(profiles).size !== profiles.length) {
+    console.error(`Invalid --env: ${values.env}`);
+    return 2;
+  }
+  if (profiles.length > 1 && command === "inventory rollback") {
+    console.error("inventory rollback restores a single store, pass only the --env profile the snapshot was taken on");
+    return 2;
+  }
+
+  const options = commandOptions(values, positionals, { batchSize, concurrency, quantities });
+
+  // Una tienda tras otra; un error fatal en una no impide correr las siguientes
+  let exitCode = 0;
+  for (const [i, envProfile] of profiles.entries()) {
+    const logger = createLogger({ level: logLevel(values, envProfile) });
+    if (profiles.length > 1) logger.info(`\n🏪 Store profile ${envProfile} (${i + 1}/${profiles.length})`);
+    const report = values.report && profiles.length > 1 ? reportForProfile(values.report, envProfile) : values.report;
+    exitCode = Math.max(exitCode, await runProfile(runCommand, { ...options, logger, report, envProfile }));
+  }
+  return exitCode;
+};
+
+// realpath: cuando se instala como bin, argv[1] es un symlink
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  process.exitCode = await cli();
+}
@@ -0,0 +1,205 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { createObjectCsvWriter } from "csv-writer";
+import { createShopifyClient, graphqlErrors } from "./lib/shopify-client.js";
+import { loadConfig } from "./lib/config.js";
+import { createLogger } from "./lib/logger.js";
+import { reportPathFor } from "./lib/reports.js";
+import { getLocations } from "./lib/locations.js";
+import { runBulkQuery } from "./lib/bulk-operation.js";
+import { QUANTITY_NAMES } from "./lib/inventory-rows.js";
+
+// Cantidades de inventario que se pueden exportar; "available" va siempre
+export { QUANTITY_NAMES };
+
+// Niveles por página al recorrer una ubicación (cada nodo cuesta ~2 puntos)
+const LEVELS_PAGE_SIZE = 100;
+
+// Recorre los niveles de inventario de una ubicación, página a página
+const getLocationLevels = async (api, locationId, names) => {
+  const query = `
+    query getLocationInventoryLevels($id: ID!, $names: [String!]!, $after: String) {
+      location(id: $id) {
+        inventoryLevels(first: ${LEVELS_PAGE_SIZE}, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            item {
+              id
+              sku
+            }
+            quantities(names: $names) {
+              name
+              quantity
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const levels = [];
+  let after = null;
+  do {
+    const res = await api.graphql.post("", { query, variables: { id: locationId, names, after } });
+    const errors = graphqlErrors(res);
+    if (errors) throw new Error(`Error reading inventory levels: ${errors}`);
+
+    const { nodes, pageInfo } = res.data.data.location.inventoryLevels;
+    levels.push(...nodes);
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (after);
+  return levels;
+};
+
+// Niveles de todas las ubicaciones con consultas paginadas: [{ location, level }]
+const readLevels = async (api, logger, locations, names) => {
+  const found = [];
+  for (const location of locations) {
+    const levels = await getLocationLevels(api, location.id, names);
+    logger.debug(`  → ${location.name}: ${levels.length} inventory level(s)`);
+    found.push(...levels.map((level) => ({ location, level })));
+  }
+  return found;
+};
+
+// Niveles de todas las ubicaciones con una operación masiva (tiendas grandes)
+const readLevelsBulk = async (api, logger, locations, names, { pollInterval }) => {
+  const bulkQuery = `
+    {
+      locations(includeLegacy: true, includeInactive: true) {
+        edges {
+          node {
+            id
+            inventoryLevels {
+              edges {
+                node {
+                  id
+                  item {
+                    id
+                    sku
+                  }
+                  quantities(names: ${JSON.stringify(names)}) {
+                    name
+                    quantity
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+  const byId = new Map(locations.map((loc) => [loc.id, loc]));
+  const found = [];
+  // Las líneas de nivel apuntan a su ubicación con __parentId; las de ubicación se descartan al llegar
+  await runBulkQuery(api, bulkQuery, {
+    pollInterval,
+    logger,
+    onObject: (object) => {
+      if (object.__parentId && byId.has(object.__parentId)) found.push({ location: byId.get(object.__parentId), level: object });
+    },
+  });
+  return found;
+};
+
+// Fila en el formato de inventory.csv (sku,location_name,available) más las cantidades pedidas
+const toRow = ({ location, level }, names) => {
+  const row = { sku: level.item.sku, location_name: location.name };
+  for (const name of names) row[name] = level.quantities.find((q) => q.name === name)?.quantity ?? 0;
+  return row;
+};
+
+const writeExport = async (rows, outPath, names) => {
+  const csvWriter = createObjectCsvWriter({
+    path: outPath,
+    header: [
+      { id: "sku", title: "sku" },
+      { id: "location_name", title: "location_name" },
+      ...names.map((name) => ({ id: name, title: name })),
+    ],
+  });
+  await csvWriter.writeRecords(rows);
+};
+
+/**
+ * Exporta el stock de todos los inventory items en todas las ubicaciones
+ * (incluidas las inactivas) a un CSV con el formato de entrada de
+ * inventory-update.js: sku,location_name,available, más las columnas de
+ * `quantities` pedidas (on_hand, committed, incoming, ...). El archivo se
+ * puede editar y volver a aplicar con `inventory set`.
+ *
+ * Por defecto recorre cada ubicación con consultas paginadas; con `bulk` usa
+ * una operación masiva de GraphQL, recomendada para tiendas grandes. Los
+ * items sin SKU se omiten (el actualizador no los puede resolver) y se
+ * cuentan en `summary.skipped`.
+ */
+export const run = async ({
+  report: reportPath,
+  envProfile,
+  apiVersion,
+  quantities = [],
+  bulk = false,
+  pollInterval,
+  logger = createLogger(),
+} = {}) => {
+  const invalid = quantities.filter((name) => !QUANTITY_NAMES.includes(name));
+  if (invalid.length) {
+    throw new Error(`Unknown inventory quantity name(s): ${invalid.join(", ")} (expected ${QUANTITY_NAMES.join(", ")})`);
+  }
+  const names = [...new Set(["available", ...quantities])];
+
+  const config = loadConfig({ envProfile, apiVersion });
+  const api = createShopifyClient({ ...config, logger });
+
+  const locations = await getLocations(api);
+  logger.info(`📍 Loaded ${locations.length} location(s)`);
+  logger.info(`📦 Exporting ${names.join(", ")}${bulk ? " with a bulk operation" : ""}...`);
+
+  const found = bulk
+    ? await readLevelsBulk(api, logger, locations, names, { pollInterval })
+    : await readLevels(api, logger, locations, names);
+
+  const withSku = found.filter(({ level }) => level.item?.sku);
+  const skipped = found.length - withSku.length;
+  if (skipped) logger.warn(`⚠️  Skipping ${skipped} inventory level(s) whose item has no SKU`);
+
+  // Un SKU repartido en varios items no se puede reaplicar: el actualizador lo reporta como ambiguo
+  const itemsBySku = new Map();
+  for (const { level } of withSku) {
+    if (!itemsBySku.has(level.item.sku)) itemsBySku.set(level.item.sku, new Set());
+    itemsBySku.get(level.item.sku).add(level.item.id);
+  }
+  for (const [sku, items] of itemsBySku) {
+    if (items.size > 1) logger.warn(`⚠️  SKU ${sku} belongs to ${items.size} inventory items; inventory set will report it as ambiguous`);
+  }
+
+  const report = withSku
+    .map((entry) => toRow(entry, names))
+    .sort((a, b) => a.sku.localeCompare(b.sku) || a.location_name.localeCompare(b.location_name));
+
+  const outPath = reportPathFor("inventory-export", reportPath, envProfile);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  await writeExport(report, outPath, names);
+
+  logger.info(`\n✓ Exported ${report.length} inventory level(s) across ${locations.length} location(s):`, outPath);
+  return { report, outPath, summary: { total: report.length, skipped, errors: 0 } };
+};
+
+const main = async () => {
+  try {
+    await run();
+  } catch (err) {
+    console.error("Fatal error:", err);
+    process.exit(1);
+  }
+};
+
+// Ejecutar solo cuando se invoca directamente (node scripts/inventory-export.js)
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main();
+}
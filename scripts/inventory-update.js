@@ -1,206 +1,143 @@
 import fs from "fs";
 import path from "path";
-import csv from "csv-parser";
-import axios from "axios";
+import { pathToFileURL } from "url";
 import { createObjectCsvWriter } from "csv-writer";
-import dotenv from "dotenv";
-
-dotenv.config();
-
-const STORE = process.env.SHOPIFY_STORE;
-const TOKEN = process.env.SHOPIFY_TOKEN;
-const API_VERSION = process.env.SHOPIFY_API_VERSION || "2024-10";
-
-if (!STORE || !TOKEN) {
-  console.error("Missing SHOPIFY_STORE or SHOPIFY_TOKEN in .env");
-  process.exit(1);
-}
-
-const GRAPHQL_URL = `https://${STORE}/admin/api/${API_VERSION}/graphql.json`;
-const REST_BASE_URL = `https://${STORE}/admin/api/${API_VERSION}`;
-
-const axiosInstance = axios.create({
-  baseURL: GRAPHQL_URL,
-  headers: {
-    "X-Shopify-Access-Token": TOKEN,
-    "Content-Type": "application/json",
-  },
-  timeout: 20000,
-});
-
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
-const readCsv = (filePath) =>
-  new Promise((resolve, reject) => {
-    const rows = [];
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on("data", (data) => rows.push(data))
-      .on("end", () => resolve(rows))
-      .on("error", (err) => reject(err));
-  });
-
-// Buscar producto por SKU usando REST API
-const findProductBySKU = async (sku) => {
-  try {
-    const url = `${REST_BASE_URL}/products.json?fields=id,variants&limit=250`;
-    const res = await axios.get(url, {
-      headers: { "X-Shopify-Access-Token": TOKEN },
-    });
-    
-    for (const product of res.data.products || []) {
-      const variant = product.variants.find((v) => v.sku === sku);
-      if (variant) {
-        return { product, variant };
-      }
-    }
-    return null;
-  } catch (err) {
-    console.error(`Error searching product by SKU ${sku}:`, err.message);
-    return null;
-  }
-};
-
-// Obtener ubicaciones mediante GraphQL (incluye activas e inactivas)
-const getLocationByName = async (locationName) => {
-  const query = `
-    query {
-      locations(first: 50, includeLegacy: true, includeInactive: true) {
-        edges {
-          node {
-            id
-            name
-            isActive
-          }
-        }
-      }
-    }
-  `;
-  
-  try {
-    const res = await axiosInstance.post("", { query });
-    const locations = res.data.data.locations.edges.map((e) => e.node);
-    const location = locations.find((loc) => 
-      loc.name.toLowerCase().trim() === locationName.toLowerCase().trim()
-    );
-    return location || null;
-  } catch (err) {
-    console.error("Error fetching locations:", err.message);
-    return null;
-  }
-};
+import { createShopifyClient, graphqlErrors } from "./lib/shopify-client.js";
+import { createSkuIndex } from "./lib/sku-index.js";
+import { loadConfig } from "./lib/config.js";
+import { createLogger } from "./lib/logger.js";
+import { readCsv } from "./lib/csv-file.js";
+import { reportPathFor } from "./lib/reports.js";
+import { openJournal } from "./lib/journal.js";
+import { findLocation, getLocations } from "./lib/locations.js";
+import { DEFAULT_REASON, INVENTORY_REASONS, SET_QUANTITY_NAMES, parseQuantity } from "./lib/inventory-rows.js";
+import { enforceValidation, validateInventoryRows } from "./lib/csv-validation.js";
+import { DEFAULT_CONCURRENCY, chunk, runPool } from "./lib/worker-pool.js";
+
+export { INVENTORY_REASONS };
+
+// Cantidad de filas por mutación inventorySetQuantities/inventoryAdjustQuantities (Shopify acepta hasta 250)
+const BATCH_SIZE = 100;
+const MAX_BATCH_SIZE = 250;
+// Pares item/ubicación por consulta de niveles (cada alias cuesta ~3 puntos)
+const LEVELS_BATCH_SIZE = 100;
+// Reintentos de relectura para conflictos de compareQuantity (--on-conflict retry)
+const CONFLICT_RETRIES = 3;
 
 // Activar nivel de inventario usando REST API (necesario antes de usar GraphQL)
-const connectInventoryToLocation = async (inventoryItemId, locationId) => {
+const connectInventoryToLocation = async (api, logger, inventoryItemId, locationId) => {
   try {
     const numericInventoryItemId = inventoryItemId.split('/').pop();
     const numericLocationId = locationId.split('/').pop();
     
-    const url = `${REST_BASE_URL}/inventory_levels/connect.json`;
-    const res = await axios.post(
-      url,
-      {
-        inventory_item_id: parseInt(numericInventoryItemId, 10),
-        location_id: parseInt(numericLocationId, 10),
-      },
-      {
-        headers: { 
-          "X-Shopify-Access-Token": TOKEN,
-          "Content-Type": "application/json"
-        },
-      }
-    );
+    const res = await api.rest.post("/inventory_levels/connect.json", {
+      inventory_item_id: parseInt(numericInventoryItemId, 10),
+      location_id: parseInt(numericLocationId, 10),
+    });
     return { success: true, data: res.data };
   } catch (err) {
     // Si ya está conectado, no es un error
     if (err?.response?.data?.errors?.base?.includes("already exists")) {
       return { success: true, alreadyExists: true };
     }
-    console.error("Error connecting inventory:", err?.response?.data || err.message);
+    logger.error("Error connecting inventory:", err?.response?.data || err.message);
     return { success: false, error: err?.response?.data || err.message };
   }
 };
 
-// Obtener el nivel de inventario actual usando GraphQL
-const getInventoryLevel = async (inventoryItemId, locationId) => {
-  const query = `
-    query getInventoryLevel($inventoryItemId: ID!, $locationId: ID!) {
-      inventoryLevel(inventoryItemId: $inventoryItemId, locationId: $locationId) {
-        id
-        available
-        quantities(names: ["available"]) {
-          name
-          quantity
+const levelKey = (inventoryItemId, locationId) => `${inventoryItemId}|${locationId}`;
+
+// Las filas con delta se ajustan (inventoryAdjustQuantities); el resto se fija (inventorySetQuantities)
+const isAdjustment = (entry) => entry.delta !== undefined;
+
+/**
+ * Lee las cantidades `names` (por defecto "available") de varios pares
+ * item/ubicación en una sola consulta (un alias por par). Devuelve un Map
+ * levelKey -> { nombre: cantidad }; los pares sin nivel de inventario (no
+ * conectados) quedan fuera del Map.
+ */
+const getInventoryLevels = async (api, pairs, names = ["available"]) => {
+  const levels = new Map();
+
+  for (const batch of chunk(pairs, LEVELS_BATCH_SIZE)) {
+    const fields = batch.map(
+      ({ inventoryItemId, locationId }, i) => `
+      l${i}: inventoryItem(id: ${JSON.stringify(inventoryItemId)}) {
+        inventoryLevel(locationId: ${JSON.stringify(locationId)}) {
+          quantities(names: ${JSON.stringify(names)}) {
+            name
+            quantity
+          }
         }
+      }`
+    );
+    const query = `query getInventoryLevels {${fields.join("")}\n    }`;
+
+    const res = await api.graphql.post("", { query });
+    const errors = graphqlErrors(res);
+    if (errors) throw new Error(`Error reading inventory levels: ${errors}`);
+
+    batch.forEach(({ inventoryItemId, locationId }, i) => {
+      const level = res.data.data[`l${i}`]?.inventoryLevel;
+      if (level) {
+        levels.set(
+          levelKey(inventoryItemId, locationId),
+          Object.fromEntries(level.quantities.map((q) => [q.name, q.quantity]))
+        );
       }
-    }
-  `;
-
-  const variables = { inventoryItemId, locationId };
-  
-  try {
-    const res = await axiosInstance.post("", { query, variables });
-    return res.data.data.inventoryLevel;
-  } catch (err) {
-    return null;
+    });
   }
+
+  return levels;
 };
 
-// Actualizar inventario usando inventorySetQuantities (GraphQL)
-const setInventoryGraphQL = async (inventoryItemId, locationId, available) => {
+const ADJUSTMENT_GROUP_FIELDS = `
+  inventoryAdjustmentGroup {
+    id
+    createdAt
+    reason
+    referenceDocumentUri
+    changes {
+      name
+      delta
+      quantityAfterChange
+    }
+  }
+  userErrors {
+    field
+    message
+    code
+  }
+`;
+
+// Envía una mutación de inventario; los userErrors se devuelven para asociarlos a sus filas
+const sendInventoryMutation = async (api, logger, name, input) => {
+  const inputType = name === "inventorySetQuantities" ? "InventorySetQuantitiesInput" : "InventoryAdjustQuantitiesInput";
   const mutation = `
-    mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
-      inventorySetQuantities(input: $input) {
-        inventoryAdjustmentGroup {
-          id
-          createdAt
-          reason
-          changes {
-            name
-            delta
-            quantityAfterChange
-          }
-        }
-        userErrors {
-          field
-          message
-        }
-      }
+    mutation ${name}($input: ${inputType}!) {
+      ${name}(input: $input) {${ADJUSTMENT_GROUP_FIELDS}}
     }
   `;
 
-  const variables = {
-    input: {
-      reason: "correction",
-      name: "available",
-      ignoreCompareQuantity: true,
-      quantities: [
-        {
-          inventoryItemId,
-          locationId,
-          quantity: parseInt(available, 10),
-        },
-      ],
-    },
-  };
-
   try {
-    const res = await axiosInstance.post("", { query: mutation, variables });
+    const res = await api.graphql.post("", { query: mutation, variables: { input } });
+    const errors = graphqlErrors(res);
+    if (errors) return { success: false, error: errors };
     
     // Verificar si hay errores de usuario
-    if (res.data.data?.inventorySetQuantities?.userErrors?.length > 0) {
+    if (res.data.data?.[name]?.userErrors?.length > 0) {
       return { 
         success: false, 
-        userErrors: res.data.data.inventorySetQuantities.userErrors 
+        userErrors: res.data.data[name].userErrors 
       };
     }
     
     return { 
       success: true, 
-      data: res.data.data.inventorySetQuantities 
+      data: res.data.data[name] 
     };
   } catch (err) {
-    console.error("Error setting inventory (GraphQL):", err?.response?.data || err.message);
+    logger.error(`Error updating inventory (GraphQL ${name}):`, err?.response?.data || err.message);
     return { 
       success: false, 
       error: err?.response?.data || err.message 
@@ -208,143 +145,220 @@ const setInventoryGraphQL = async (inventoryItemId, locationId, available) => {
   }
 };
 
-const processRow = async (row) => {
-  const sku = String(row.sku || "").trim();
-  const locationName = String(row.location_name || "").trim();
-  const available = parseInt(row.available, 10);
+// Actualizar inventario usando inventorySetQuantities (GraphQL), varias cantidades por llamada.
+// En modo seguro cada cantidad lleva compareQuantity y Shopify rechaza las que cambiaron desde la lectura.
+const setInventoryQuantities = (api, logger, quantities, { name, reason, referenceDocumentUri, safe = false }) =>
+  sendInventoryMutation(api, logger, "inventorySetQuantities", {
+    reason,
+    name,
+    ...(referenceDocumentUri ? { referenceDocumentUri } : {}),
+    ignoreCompareQuantity: !safe,
+    quantities,
+  });
 
-  if (!sku || !locationName || isNaN(available)) {
-    return { 
-      sku, 
-      locationName, 
-      result: "error", 
-      message: "Missing or invalid data (sku, location_name, or available)" 
-    };
-  }
+// Ajustes relativos con inventoryAdjustQuantities: cada cambio suma su delta a la cantidad `name`
+const adjustInventoryQuantities = (api, logger, changes, { name, reason, referenceDocumentUri }) =>
+  sendInventoryMutation(api, logger, "inventoryAdjustQuantities", {
+    reason,
+    name,
+    ...(referenceDocumentUri ? { referenceDocumentUri } : {}),
+    changes,
+  });
 
-  try {
-    // 1. Buscar producto por SKU
-    console.log(`  → Searching product with SKU: ${sku}`);
-    const found = await findProductBySKU(sku);
-    if (!found || !found.variant) {
-      return { 
-        sku, 
-        locationName, 
-        result: "error", 
-        message: "Product/variant not found by SKU" 
-      };
-    }
+// Shopify informa compareQuantity desactualizado con el código COMPARE_QUANTITY_STALE
+const isStaleQuantityError = (userError) =>
+  userError.code === "COMPARE_QUANTITY_STALE" || /compare quantity/i.test(userError.message || "");
 
-    const inventoryItemId = found.variant.inventory_item_id
-      ? `gid://shopify/InventoryItem/${found.variant.inventory_item_id}`
-      : null;
+// field: ["input", "quantities" | "changes", "3", "locationId"] -> 3
+const userErrorIndex = (userError) => {
+  const field = userError.field || [];
+  const pos = Math.max(field.indexOf("quantities"), field.indexOf("changes"));
+  const index = pos >= 0 ? parseInt(field[pos + 1], 10) : NaN;
+  return isNaN(index) ? null : index;
+};
 
-    if (!inventoryItemId) {
-      return { 
-        sku, 
-        locationName, 
-        result: "error", 
-        message: "Variant has no inventory_item_id" 
-      };
+/**
+ * Envía un lote de entradas en una mutación. La mutación es atómica: si
+ * Shopify devuelve userErrors asociados a filas concretas, esas filas se
+ * marcan como error (o conflict, si el stock cambió desde la lectura en modo
+ * seguro) y el resto del lote se reenvía.
+ */
+const applyBatch = async (api, logger, batch, { safe = false } = {}) => {
+  let pending = batch;
+  // Todas las entradas del lote comparten modo, cantidad, motivo y documento (ver buildBatches)
+  const { quantityName: name, reason, referenceDocumentUri } = batch[0];
+
+  while (pending.length) {
+    const res = isAdjustment(batch[0])
+      ? await adjustInventoryQuantities(
+          api,
+          logger,
+          pending.map((e) => ({
+            inventoryItemId: e.inventoryItemId,
+            locationId: e.location.id,
+            delta: e.delta,
+            // Shopify exige un documento de respaldo al ajustar cantidades distintas de available
+            ...(name !== "available" ? { ledgerDocumentUri: referenceDocumentUri } : {}),
+          })),
+          { name, reason, referenceDocumentUri }
+        )
+      : await setInventoryQuantities(
+          api,
+          logger,
+          pending.map((e) => ({
+            inventoryItemId: e.inventoryItemId,
+            locationId: e.location.id,
+            quantity: e.quantity,
+            ...(safe ? { compareQuantity: e.currentStock } : {}),
+          })),
+          { name, reason, referenceDocumentUri, safe }
+        );
+
+    if (res.success) {
+      pending.forEach((e) => {
+        e.outcome = { result: "success" };
+      });
+      return;
     }
 
-    console.log(`  → Found inventory item: ${inventoryItemId}`);
+    const byIndex = new Map();
+    const stale = new Set();
+    for (const userError of res.userErrors || []) {
+      const index = userErrorIndex(userError);
+      if (index === null || !pending[index]) continue;
+      byIndex.set(index, [...(byIndex.get(index) || []), userError.message]);
+      if (isStaleQuantityError(userError)) stale.add(index);
+    }
 
-    // 2. Buscar ubicación
-    console.log(`  → Searching location: ${locationName}`);
-    const location = await getLocationByName(locationName);
-    if (!location) {
-      return { 
-        sku, 
-        locationName, 
-        result: "error", 
-        message: "Location not found" 
-      };
+    if (byIndex.size === 0) {
+      // Error general del lote (red, GraphQL o userErrors sin fila asociada)
+      const errorMsg = res.userErrors
+        ? res.userErrors.map((e) => e.message).join(", ")
+        : typeof res.error === "string" ? res.error : JSON.stringify(res.error);
+      pending.forEach((e) => {
+        e.outcome = { result: "error", message: `Failed to ${isAdjustment(e) ? "adjust" : "set"} inventory: ${errorMsg}` };
+      });
+      return;
     }
 
-    const locationId = location.id;
-    console.log(`  → Found location: ${locationId} (Active: ${location.isActive})`);
+    pending.forEach((e, i) => {
+      if (!byIndex.has(i)) return;
+      e.outcome = stale.has(i)
+        ? { result: "conflict", message: `Stock changed since it was read (expected ${e.currentStock}), not updated` }
+        : { result: "error", message: `Failed to ${isAdjustment(e) ? "adjust" : "set"} inventory: ${byIndex.get(i).join(", ")}` };
+    });
+    pending = pending.filter((_, i) => !byIndex.has(i));
+    if (pending.length) logger.debug(`  → Re-sending ${pending.length} quantities without the rejected rows`);
+  }
+};
 
-    // Si la ubicación está inactiva, informar pero continuar
-    if (!location.isActive) {
-      console.log(`  ⚠️  Location "${locationName}" is INACTIVE, but will attempt to set inventory anyway`);
+// Modo, cantidad, motivo y documento van una vez por mutación
+const mutationKey = (entry) =>
+  [isAdjustment(entry) ? "adjust" : "set", entry.quantityName, entry.reason, entry.referenceDocumentUri ?? ""].join("|");
+
+/**
+ * Agrupa las entradas en lotes sin repetir un mismo par item/ubicación dentro
+ * del lote. Un lote se corta también cuando cambia la mutación (mutationKey),
+ * así las filas se aplican en el orden del archivo.
+ */
+const buildBatches = (entries, batchSize) => {
+  const batches = [];
+  let current = [];
+  let keys = new Set();
+
+  for (const entry of entries) {
+    const key = levelKey(entry.inventoryItemId, entry.location.id);
+    if (current.length >= batchSize || keys.has(key) || (current.length && mutationKey(current[0]) !== mutationKey(entry))) {
+      batches.push(current);
+      current = [];
+      keys = new Set();
     }
+    current.push(entry);
+    keys.add(key);
+  }
+  if (current.length) batches.push(current);
+  return batches;
+};
 
-    // 3. Verificar si existe el nivel de inventario
-    let inventoryLevel = await getInventoryLevel(inventoryItemId, locationId);
-
-    if (!inventoryLevel) {
-      // No existe, necesitamos conectarlo primero (funciona incluso con ubicaciones inactivas)
-      console.log(`  → Inventory not connected to this location. Connecting...`);
-      
-      const connectionRes = await connectInventoryToLocation(inventoryItemId, locationId);
-      
-      if (!connectionRes.success) {
-        return {
-          sku,
-          locationName,
-          result: "error",
-          message: `Failed to connect inventory to location: ${JSON.stringify(connectionRes.error)}`,
-        };
-      }
-      
-      if (connectionRes.alreadyExists) {
-        console.log(`  → Inventory already connected`);
-      } else {
-        console.log(`  → Inventory level connected successfully`);
-      }
-      
-      await sleep(500);
-      
-      // Verificar nuevamente
-      inventoryLevel = await getInventoryLevel(inventoryItemId, locationId);
-      
-      if (!inventoryLevel) {
-        // Si aún no existe después de conectar, puede ser que la ubicación esté inactiva
-        // Intentaremos actualizar de todas formas
-        console.log(`  ⚠️  Inventory level still not found, but will attempt update anyway`);
-      }
-    }
+// Valida la fila y la resuelve contra el índice de SKUs y las ubicaciones ya cargadas
+const resolveRow = async (row, { skuIndex, locations, aliases, defaults }) => {
+  const sku = String(row.sku || "").trim();
+  const locationName = String(row.location_name || "").trim();
 
-    const currentStock = inventoryLevel?.available || 0;
-    console.log(`  → Current stock: ${currentStock}`);
-    console.log(`  → Setting stock to: ${available} (using inventorySetQuantities GraphQL)`);
-
-    // 4. Actualizar cantidad usando inventorySetQuantities (GraphQL)
-    const updateRes = await setInventoryGraphQL(inventoryItemId, locationId, available);
-
-    if (!updateRes.success) {
-      const errorMsg = updateRes.userErrors 
-        ? updateRes.userErrors.map(e => e.message).join(", ")
-        : JSON.stringify(updateRes.error);
-      
-      return {
-        sku,
-        locationName,
-        result: "error",
-        message: `Failed to set inventory: ${errorMsg}`,
-      };
-    }
+  if (!sku || !locationName) {
+    return { sku, locationName, error: "Missing or invalid data (sku, location_name, and available or delta)" };
+  }
+  const quantity = parseQuantity(row, defaults);
+  if (quantity.error) return { sku, locationName, error: quantity.error };
 
-    console.log(`  → Stock updated successfully via GraphQL!`);
+  // 1. Buscar variante por SKU en el índice de la ejecución
+  const matches = await skuIndex.lookup(sku);
+  if (matches.length === 0) {
+    return { sku, locationName, error: "Product/variant not found by SKU" };
+  }
 
+  if (matches.length > 1) {
     return {
       sku,
       locationName,
-      result: "success",
-      message: `Stock updated from ${currentStock} to ${available} (GraphQL inventorySetQuantities)${!location.isActive ? ' [Location was INACTIVE]' : ''}`,
+      error: `SKU is ambiguous: matches ${matches.length} variants (${matches.map((m) => m.variantId).join(", ")})`,
     };
+  }
 
-  } catch (err) {
-    return { 
-      sku, 
-      locationName, 
-      result: "error", 
-      message: `Exception: ${err.message}` 
+  const { inventoryItemId } = matches[0];
+  if (!inventoryItemId) {
+    return { sku, locationName, error: "Variant has no inventory_item_id" };
+  }
+
+  // 2. Buscar ubicación (por nombre, ID o alias del perfil)
+  const location = findLocation(locations, locationName, aliases);
+  if (!location) {
+    return { sku, locationName, error: "Location not found" };
+  }
+
+  return { sku, locationName, ...quantity, inventoryItemId, location };
+};
+
+// "Stock" para available; el resto de las cantidades se nombran tal cual (on_hand, damaged, ...)
+const quantityLabel = (entry, capitalized = false) => {
+  if (entry.quantityName !== "available") return entry.quantityName;
+  return capitalized ? "Stock" : "stock";
+};
+
+// "from 3 to 15" o "by +12 (3 -> 15)"
+const describeChange = (entry, from) =>
+  isAdjustment(entry)
+    ? `by ${entry.delta >= 0 ? "+" : ""}${entry.delta} (${from} -> ${entry.quantity})`
+    : `from ${from} to ${entry.quantity}`;
+
+const toReportRow = (entry) => {
+  const { sku, locationName, location, currentStock } = entry;
+  const inactive = location && !location.isActive;
+  const verb = isAdjustment(entry) ? "adjust" : "update";
+
+  if (entry.error) return { sku, locationName, result: "error", message: entry.error };
+  if (entry.outcome?.result === "dry_run") {
+    const from = entry.connected ? currentStock : "(not connected)";
+    return {
+      sku,
+      locationName,
+      result: "dry_run",
+      message: `Would ${verb} ${quantityLabel(entry)} ${describeChange(entry, from)}${inactive ? ' [Location is INACTIVE]' : ''}`,
     };
-  } finally {
-    await sleep(400);
   }
+  if (entry.outcome?.result === "conflict") {
+    return { sku, locationName, result: "conflict", message: entry.outcome.message };
+  }
+  if (entry.outcome?.result === "success") {
+    const mutation = isAdjustment(entry) ? "inventoryAdjustQuantities" : "inventorySetQuantities";
+    return {
+      sku,
+      locationName,
+      result: "success",
+      message: `${quantityLabel(entry, true)} ${isAdjustment(entry) ? "adjusted" : "updated"} ${describeChange(entry, currentStock)} (GraphQL ${mutation})${inactive ? ' [Location was INACTIVE]' : ''}`,
+    };
+  }
+  return { sku, locationName, result: "error", message: entry.outcome?.message || "Not processed" };
 };
 
 const writeReport = async (rows, outPath) => {
@@ -360,92 +374,377 @@ const writeReport = async (rows, outPath) => {
   await csvWriter.writeRecords(rows);
 };
 
-// Función para generar timestamp en horario de Chile
-function getChileTimestamp() {
-  const now = new Date();
-  const options = {
-    timeZone: 'America/Santiago',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
+/**
+ * Lee el stock actual, conecta los niveles que falten y envía las cantidades
+ * de las entradas resueltas en mutaciones por lote. Deja en cada entrada
+ * `currentStock` (cantidad previa), `quantity` (cantidad final, también en
+ * los ajustes por delta), `connected` y `outcome`.
+ *
+ * Con `safe` se envía compareQuantity; los conflictos se reportan como
+ * `conflict` o, con onConflict = "retry", se releen y se vuelven a aplicar.
+ * Las entradas `resumed` (ya aplicadas en una ejecución anterior) se omiten y
+ * cada lote enviado se registra en el `journal`. Las conexiones y los lotes
+ * van en paralelo hasta `concurrency`, en orden para un mismo par item/ubicación.
+ */
+const writeEntries = async (
+  api,
+  logger,
+  entries,
+  { dryRun, batchSize, safe = false, onConflict = "report", concurrency = DEFAULT_CONCURRENCY, journal }
+) => {
+  const valid = entries.filter((e) => !e.error && !e.resumed);
+
+  // Leer el stock actual de todos los pares en lotes
+  const uniquePairs = new Map(
+    valid.map((e) => [levelKey(e.inventoryItemId, e.location.id), { inventoryItemId: e.inventoryItemId, locationId: e.location.id }])
+  );
+  const names = [...new Set(valid.map((e) => e.quantityName))];
+  logger.info(`📊 Reading current stock for ${uniquePairs.size} item/location pair(s)...`);
+  const levels = await getInventoryLevels(api, [...uniquePairs.values()], names);
+
+  // Conectar los items que aún no tienen nivel en la ubicación (funciona incluso con ubicaciones inactivas)
+  // (en paralelo; las filas de un mismo par van en orden y solo la primera conecta)
+  const connected = new Set(levels.keys());
+  const entryKey = (entry) => levelKey(entry.inventoryItemId, entry.location.id);
+  const connectEntry = async (entry) => {
+    const key = entryKey(entry);
+    entry.connected = connected.has(key);
+    entry.wasConnected = entry.connected;
+    if (entry.connected || dryRun) return;
+
+    logger.debug(`  → Connecting ${entry.sku} to "${entry.location.name}"...`);
+    const connectionRes = await connectInventoryToLocation(api, logger, entry.inventoryItemId, entry.location.id);
+    if (!connectionRes.success) {
+      entry.error = `Failed to connect inventory to location: ${JSON.stringify(connectionRes.error)}`;
+      return;
+    }
+    // Un nivel recién conectado parte en 0
+    if (!levels.has(key)) levels.set(key, {});
+    connected.add(key);
+    entry.connected = true;
+  };
+  await runPool(valid, connectEntry, { concurrency, keysOf: (entry) => [entryKey(entry)] });
+
+  // Cantidad "anterior" de cada fila; si un par se repite, la fila siguiente parte del valor de la anterior
+  const pending = valid.filter((e) => !e.error);
+  for (const entry of pending) {
+    const quantities = levels.get(levelKey(entry.inventoryItemId, entry.location.id)) ?? {};
+    entry.currentStock = quantities[entry.quantityName] ?? 0;
+    if (isAdjustment(entry)) entry.quantity = entry.currentStock + entry.delta;
+    quantities[entry.quantityName] = entry.quantity;
+  }
+
+  // Enviar las cantidades en mutaciones por lote
+  if (dryRun) {
+    pending.forEach((e) => {
+      e.outcome = { result: "dry_run" };
+    });
+    return;
+  }
+
+  const size = Math.min(batchSize, MAX_BATCH_SIZE);
+  const batches = buildBatches(pending, size);
+  // Lotes en paralelo; los que comparten un par item/ubicación se aplican en el orden del archivo
+  const sendBatch = async (batch, i) => {
+    const { quantityName, reason } = batch[0];
+    const action = isAdjustment(batch[0]) ? "adjusting" : "setting";
+    logger.info(`🚚 Batch ${i + 1}/${batches.length}: ${action} ${batch.length} ${quantityName} quantities (${reason})${safe ? " (compareQuantity)" : ""}`);
+    await applyBatch(api, logger, batch, { safe });
+    batch.forEach((e) => journal?.record(e.index, e));
+  };
+  await runPool(batches, sendBatch, { concurrency, keysOf: (batch) => batch.map(entryKey) });
+
+  // Conflictos: releer el stock actual y volver a aplicar
+  for (let attempt = 1; safe && onConflict === "retry" && attempt <= CONFLICT_RETRIES; attempt++) {
+    const conflicted = pending.filter((e) => e.outcome?.result === "conflict");
+    if (!conflicted.length) break;
+
+    logger.warn(`  ↻ ${conflicted.length} quantities changed since they were read, re-reading and re-applying (${attempt}/${CONFLICT_RETRIES})`);
+    const fresh = await getInventoryLevels(
+      api,
+      conflicted.map((e) => ({ inventoryItemId: e.inventoryItemId, locationId: e.location.id })),
+      names
+    );
+    conflicted.forEach((e) => {
+      e.currentStock = fresh.get(levelKey(e.inventoryItemId, e.location.id))?.[e.quantityName] ?? 0;
+      e.outcome = null;
+    });
+    for (const batch of buildBatches(conflicted, size)) {
+      await applyBatch(api, logger, batch, { safe });
+      batch.forEach((e) => journal?.record(e.index, e));
+    }
+  }
+};
+
+// reports/inventory-report-X.csv -> reports/inventory-report-X.snapshot.json
+export const snapshotPathFor = (reportPath) => `${reportPath.replace(/\.csv$/i, "")}.snapshot.json`;
+
+/**
+ * Snapshot legible por máquina de una ejecución: cantidad antes/después por
+ * SKU, ubicación y nombre de cantidad de cada fila aplicada. Es la entrada del
+ * comando rollback.
+ */
+const writeSnapshot = (entries, { store, source, outPath }) => {
+  const snapshot = {
+    version: 1,
+    createdAt: new Date().toISOString(),
+    store,
+    source,
+    entries: entries
+      .filter((e) => e.outcome?.result === "success")
+      .map((e) => ({
+        sku: e.sku,
+        locationName: e.locationName,
+        inventoryItemId: e.inventoryItemId,
+        locationId: e.location.id,
+        quantityName: e.quantityName,
+        before: e.currentStock,
+        after: e.quantity,
+        wasConnected: e.wasConnected,
+        ...(e.referenceDocumentUri ? { referenceDocumentUri: e.referenceDocumentUri } : {}),
+      })),
   };
+  fs.writeFileSync(outPath, JSON.stringify(snapshot, null, 2));
+  return snapshot;
+};
+
+// Reporte CSV + snapshot JSON + resumen por consola, común a set y rollback
+const finishRun = async (entries, { kind, reportPath, dryRun, store, envProfile, source, logger }) => {
+  const report = entries.map(toReportRow);
+  report.forEach((r, i) => logger.info(`[${i + 1}/${report.length}] ${r.sku} @ ${r.locationName}: ${r.result} - ${r.message}`));
+
+  const outPath = reportPathFor(kind, reportPath, envProfile);
   
-  const formatter = new Intl.DateTimeFormat('es-CL', options);
-  const parts = formatter.formatToParts(now);
+  // Crear carpeta reports si no existe
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
   
-  const year = parts.find(p => p.type === 'year').value;
-  const month = parts.find(p => p.type === 'month').value;
-  const day = parts.find(p => p.type === 'day').value;
-  const hour = parts.find(p => p.type === 'hour').value;
-  const minute = parts.find(p => p.type === 'minute').value;
-  const second = parts.find(p => p.type === 'second').value;
+  // Escribir reporte
+  await writeReport(report, outPath);
+
+  // El snapshot permite revertir la ejecución con `inventory rollback`
+  const snapshotPath = dryRun ? null : snapshotPathFor(outPath);
+  if (snapshotPath) writeSnapshot(entries, { store, source, outPath: snapshotPath });
   
-  return `${year}-${month}-${day}-${hour}${minute}${second}`;
-}
+  // Resumen
+  const success = report.filter(r => r.result === "success").length;
+  const errors = report.filter(r => r.result === "error").length;
+  const conflicts = report.filter(r => r.result === "conflict").length;
+  
+  logger.info("\n" + "=".repeat(60));
+  logger.info("📊 SUMMARY");
+  logger.info("=".repeat(60));
+  logger.info(`✓ Successful: ${success}`);
+  logger.info(`✗ Errors: ${errors}`);
+  if (conflicts) logger.info(`⚠️  Conflicts (stock changed during the run): ${conflicts}`);
+  logger.info(`📄 Report: ${outPath}`);
+  if (snapshotPath) logger.info(`↩️  Snapshot: ${snapshotPath}`);
+  logger.info(`🔧 Method: GraphQL inventorySetQuantities / inventoryAdjustQuantities mutations`);
+  logger.info("=".repeat(60) + "\n");
+
+  return { report, outPath, snapshotPath, summary: { total: report.length, success, errors, conflicts } };
+};
+
+// Entrada ya aplicada en una ejecución anterior (según el journal); el resto se vuelve a procesar
+const resumedEntry = (journal, index) => {
+  const done = journal?.done.get(index);
+  return done?.outcome?.result === "success" ? { ...done, resumed: true } : null;
+};
+
+/**
+ * Escribe las entradas y genera reporte y snapshot. Si la escritura se corta
+ * por un error fatal, el reporte y el snapshot se generan igual con lo
+ * aplicado hasta ese momento (el resto queda como "Not processed") y el
+ * journal se conserva para --resume.
+ */
+const applyEntries = async (api, logger, entries, { journal, writeOptions, finishOptions }) => {
+  const resumed = entries.filter((e) => e.resumed).length;
+  if (resumed) logger.info(`↻ Resuming: skipping ${resumed} row(s) already applied from ${journal.path}`);
 
-const main = async () => {
   try {
-    const csvPath = path.resolve(process.cwd(), "examples", "inventory.csv");
-    if (!fs.existsSync(csvPath)) {
-      console.error("CSV file not found:", csvPath);
-      process.exit(1);
-    }
+    await writeEntries(api, logger, entries, { ...writeOptions, journal });
+  } catch (err) {
+    logger.error(`Run stopped: ${err.message}. Writing partial report...`);
+    await finishRun(entries, finishOptions);
+    throw err;
+  }
 
-    const rows = await readCsv(csvPath);
-    console.log(`\n📦 Processing ${rows.length} inventory records using GraphQL inventorySetQuantities...\n`);
-    
-    const report = [];
-
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      console.log(`\n[${i + 1}/${rows.length}] Processing SKU: ${row.sku} @ ${row.location_name}`);
-      
-      try {
-        const res = await processRow(row);
-        console.log(`  ✓ Result: ${res.result} - ${res.message}`);
-        report.push(res);
-      } catch (error) {
-        console.error(`  ✗ Error processing row:`, error.message);
-        report.push({
-          sku: row.sku || "unknown",
-          locationName: row.location_name || "unknown",
-          result: "error",
-          message: `Unexpected error: ${error.message}`
-        });
+  const result = await finishRun(entries, finishOptions);
+  // Con filas pendientes el journal se conserva: --resume reintenta solo esas
+  if (journal && result.summary.errors + result.summary.conflicts === 0) journal.remove();
+  else if (journal) logger.info(`↻ Re-run with --resume to retry only the failed rows (journal: ${journal.path})`);
+  return result;
+};
+
+/**
+ * Actualiza el inventario desde un CSV y escribe el reporte de resultados.
+ *
+ * Opciones: file (CSV de entrada), report (ruta del reporte), envProfile,
+ * apiVersion, dryRun, batchSize, safe, onConflict, concurrency, resume,
+ * reason, referenceDocumentUri, force, journalDir y logger. Lanza un error
+ * ante problemas fatales; los errores por fila quedan en el reporte y en
+ * `summary.errors`. El comportamiento se describe en el README ("Actualizador
+ * de Inventario", "Modo seguro", "Reanudar una ejecución").
+ */
+export const run = async ({
+  file = path.resolve(process.cwd(), "examples", "inventory.csv"),
+  report: reportPath,
+  envProfile,
+  apiVersion,
+  dryRun = false,
+  batchSize = BATCH_SIZE,
+  safe = false,
+  onConflict = "report",
+  concurrency = DEFAULT_CONCURRENCY,
+  resume = false,
+  reason = DEFAULT_REASON,
+  referenceDocumentUri,
+  force = false,
+  journalDir,
+  logger = createLogger(),
+} = {}) => {
+  if (!INVENTORY_REASONS.includes(reason)) {
+    throw new Error(`Invalid reason: ${reason} (expected ${INVENTORY_REASONS.join(", ")})`);
+  }
+  const config = loadConfig({ envProfile, apiVersion });
+  // Clientes REST y GraphQL con control de tasa compartido (ver lib/shopify-client.js)
+  const api = createShopifyClient({ ...config, logger });
+
+  const csvPath = path.resolve(file);
+  if (!fs.existsSync(csvPath)) {
+    throw new Error(`CSV file not found: ${csvPath}`);
+  }
+
+  const rows = await readCsv(csvPath);
+
+  // Validación previa de todo el archivo: con errores no se escribe nada (salvo --force)
+  const outPath = reportPathFor("inventory-report", reportPath, envProfile);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  const defaults = { reason, referenceDocumentUri };
+  const validation = await enforceValidation(validateInventoryRows(rows, defaults, config.locationAliases), { reportPath: outPath, force, dryRun, logger });
+
+  logger.info(`\n📦 Processing ${rows.length} inventory records using GraphQL inventorySetQuantities/inventoryAdjustQuantities${dryRun ? " (dry run, no changes will be made)" : ""}...\n`);
+
+  // 1. Ubicaciones: una sola consulta por ejecución
+  const locations = await getLocations(api);
+  logger.info(`📍 Loaded ${locations.length} location(s)`);
+  locations
+    .filter((loc) => !loc.isActive)
+    .forEach((loc) => logger.debug(`  ⚠️  Location "${loc.name}" is INACTIVE, inventory will still be set there`));
+
+  const journal = dryRun
+    ? null
+    : openJournal({ kind: "inventory-set", file: csvPath, store: config.store, resume, dir: journalDir, logger });
+
+  // 2. Resolver todos los SKUs pendientes del archivo antes de procesar filas
+  const pendingRows = rows.filter((_, i) => !resumedEntry(journal, i));
+  const skuIndex = createSkuIndex(api.graphql, { logger });
+  logger.info(`🔎 Resolving ${new Set(pendingRows.map((r) => r.sku)).size} SKUs...`);
+  await skuIndex.preload(pendingRows.map((r) => r.sku));
+
+  const entries = [];
+  for (let i = 0; i < rows.length; i++) {
+    entries.push(resumedEntry(journal, i) || { index: i, ...(await resolveRow(rows[i], { skuIndex, locations, aliases: config.locationAliases, defaults })) });
+  }
+
+  // 3. Leer stock, conectar niveles y escribir por lotes
+  const result = await applyEntries(api, logger, entries, {
+    journal,
+    writeOptions: { dryRun, batchSize, safe, onConflict, concurrency },
+    finishOptions: { kind: "inventory-report", reportPath: outPath, dryRun, store: config.store, envProfile, source: csvPath, logger },
+  });
+  return { ...result, validation };
+};
+
+/**
+ * Revierte una ejecución anterior a partir de su snapshot (o de su reporte
+ * CSV, buscando el snapshot al lado). Restaura la cantidad `before` de cada
+ * SKU/ubicación mediante inventorySetQuantities; si un par aparece varias
+ * veces, se restaura el valor previo a la primera escritura. Las cantidades
+ * que no se pueden fijar (damaged, safety_stock, ...) se revierten con un
+ * ajuste por la diferencia, con el mismo documento de respaldo.
+ */
+export const rollback = async ({
+  snapshot: snapshotArg,
+  report: reportPath,
+  envProfile,
+  apiVersion,
+  dryRun = false,
+  batchSize = BATCH_SIZE,
+  safe = false,
+  onConflict = "report",
+  concurrency = DEFAULT_CONCURRENCY,
+  resume = false,
+  journalDir,
+  logger = createLogger(),
+} = {}) => {
+  if (!snapshotArg) throw new Error("Missing snapshot or report path to roll back");
+  const snapshotPath = path.resolve(/\.csv$/i.test(snapshotArg) ? snapshotPathFor(snapshotArg) : snapshotArg);
+  if (!fs.existsSync(snapshotPath)) {
+    throw new Error(`Snapshot file not found: ${snapshotPath}`);
+  }
+
+  const snapshot = JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+  if (!Array.isArray(snapshot.entries)) {
+    throw new Error(`Invalid snapshot file: ${snapshotPath}`);
+  }
+
+  const config = loadConfig({ envProfile, apiVersion });
+  if (snapshot.store && snapshot.store !== config.store) {
+    throw new Error(`Snapshot was taken on ${snapshot.store}, but the current profile points to ${config.store}`);
+  }
+  const api = createShopifyClient({ ...config, logger });
+
+  // Un par por item/ubicación y cantidad, con el valor previo a la primera escritura y el final de la última
+  // (los snapshots anteriores a quantityName son siempre de available)
+  const firstByPair = new Map();
+  const lastByPair = new Map();
+  for (const e of snapshot.entries) {
+    const key = `${levelKey(e.inventoryItemId, e.locationId)}|${e.quantityName ?? "available"}`;
+    if (!firstByPair.has(key)) firstByPair.set(key, e);
+    lastByPair.set(key, e);
+  }
+
+  const journal = dryRun
+    ? null
+    : openJournal({ kind: "inventory-rollback", file: snapshotPath, store: config.store, resume, dir: journalDir, logger });
+
+  const entries = [...firstByPair].map(([key, e], i) => {
+    const quantityName = e.quantityName ?? "available";
+    return (
+      resumedEntry(journal, i) || {
+        index: i,
+        sku: e.sku,
+        locationName: e.locationName,
+        inventoryItemId: e.inventoryItemId,
+        location: { id: e.locationId, name: e.locationName, isActive: true },
+        quantityName,
+        reason: DEFAULT_REASON,
+        ...(SET_QUANTITY_NAMES.includes(quantityName)
+          ? { quantity: e.before }
+          : { delta: e.before - lastByPair.get(key).after, referenceDocumentUri: e.referenceDocumentUri }),
       }
-    }
+    );
+  });
 
-    // Generar timestamp en horario de Chile
-    const timestamp = getChileTimestamp();
-    const outPath = path.resolve(process.cwd(), "reports", `inventory-report-${timestamp}.csv`);
-    
-    // Crear carpeta reports si no existe
-    fs.mkdirSync(path.dirname(outPath), { recursive: true });
-    
-    // Escribir reporte
-    await writeReport(report, outPath);
-    
-    // Resumen
-    const success = report.filter(r => r.result === "success").length;
-    const errors = report.filter(r => r.result === "error").length;
-    
-    console.log("\n" + "=".repeat(60));
-    console.log("📊 SUMMARY");
-    console.log("=".repeat(60));
-    console.log(`✓ Successful: ${success}`);
-    console.log(`✗ Errors: ${errors}`);
-    console.log(`📄 Report: ${outPath}`);
-    console.log(`🔧 Method: GraphQL inventorySetQuantities mutation`);
-    console.log("=".repeat(60) + "\n");
-    
+  logger.info(`\n↩️  Rolling back ${entries.length} inventory level(s) from ${snapshotPath}${dryRun ? " (dry run, no changes will be made)" : ""}...\n`);
+  return applyEntries(api, logger, entries, {
+    journal,
+    writeOptions: { dryRun, batchSize, safe, onConflict, concurrency },
+    finishOptions: { kind: "inventory-rollback", reportPath, dryRun, store: config.store, envProfile, source: snapshotPath, logger },
+  });
+};
+
+const main = async () => {
+  try {
+    const { summary } = await run();
+    if (summary.errors > 0) process.exitCode = 1;
   } catch (err) {
     console.error("Fatal error:", err);
     process.exit(1);
   }
 };
 
-main();
\ No newline at end of file
+// Ejecutar solo cuando se invoca directamente (node scripts/inventory-update.js)
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main();
+}
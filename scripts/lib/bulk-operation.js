@@ -0,0 +1,89 @@
+import readline from "readline";
+import axios from "axios";
+import { graphqlErrors, sleep } from "./shopify-client.js";
+
+// Operaciones masivas de GraphQL (bulkOperationRunQuery): Shopify ejecuta la
+// consulta sin límite de costo ni paginación y deja el resultado en un JSONL.
+
+const POLL_INTERVAL = 2000;
+const FINISHED = ["COMPLETED", "FAILED", "CANCELED", "EXPIRED"];
+
+const startBulkQuery = async (api, bulkQuery) => {
+  const mutation = `
+    mutation bulkOperationRunQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const res = await api.graphql.post("", { query: mutation, variables: { query: bulkQuery } });
+  const errors = graphqlErrors(res) || res.data.data.bulkOperationRunQuery.userErrors.map((e) => e.message).join(", ");
+  if (errors) throw new Error(`Error starting bulk operation: ${errors}`);
+  return res.data.data.bulkOperationRunQuery.bulkOperation;
+};
+
+const getBulkOperation = async (api, id) => {
+  const query = `
+    query getBulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          url
+        }
+      }
+    }
+  `;
+  const res = await api.graphql.post("", { query, variables: { id } });
+  const errors = graphqlErrors(res);
+  if (errors) throw new Error(`Error reading bulk operation ${id}: ${errors}`);
+  return res.data.data.node;
+};
+
+// Lee el JSONL línea a línea (puede pesar cientos de MB en tiendas grandes) y
+// entrega cada objeto a `onObject` apenas llega, sin juntarlos en memoria
+const streamJsonl = async (url, onObject) => {
+  const res = await axios.get(url, { responseType: "stream", timeout: 10 * 60 * 1000 });
+  let count = 0;
+  for await (const line of readline.createInterface({ input: res.data, crlfDelay: Infinity })) {
+    if (!line.trim()) continue;
+    onObject(JSON.parse(line));
+    count++;
+  }
+  return count;
+};
+
+/**
+ * Ejecuta `bulkQuery` como operación masiva, espera a que termine consultando
+ * su estado cada `pollInterval` ms y llama a `onObject` con cada objeto del
+ * JSONL, en orden, mientras se descarga. Los nodos de conexiones anidadas
+ * vienen como líneas propias con `__parentId`, después de su padre. Devuelve
+ * la cantidad de objetos leídos. Shopify permite una sola operación masiva de
+ * consulta a la vez por tienda.
+ */
+export const runBulkQuery = async (api, bulkQuery, { onObject, pollInterval = POLL_INTERVAL, logger }) => {
+  let operation = await startBulkQuery(api, bulkQuery);
+  logger.info(`⏳ Bulk operation ${operation.id} started, waiting for Shopify...`);
+
+  while (!FINISHED.includes(operation.status)) {
+    await sleep(pollInterval);
+    operation = await getBulkOperation(api, operation.id);
+    logger.debug(`  → Bulk operation ${operation.status} (${operation.objectCount ?? 0} objects)`);
+  }
+
+  if (operation.status !== "COMPLETED") {
+    throw new Error(`Bulk operation ${operation.id} ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ""}`);
+  }
+  logger.info(`✓ Bulk operation completed: ${operation.objectCount} objects`);
+  // Sin resultados Shopify no genera archivo
+  return operation.url ? streamJsonl(operation.url, onObject) : 0;
+};
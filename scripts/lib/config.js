@@ -0,0 +1,81 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { normalizeName } from "./locations.js";
+
+const DEFAULT_API_VERSION = "2024-10";
+
+// ".env" por defecto, ".env.<perfil>" si se indica un perfil (ej: --env staging)
+export const envFilePath = (profile) =>
+  path.resolve(process.cwd(), profile ? `.env.${profile}` : ".env");
+
+
+/**
+ * Alias de ubicaciones del perfil (SHOPIFY_LOCATION_ALIASES): traducen los
+ * códigos de bodega del ERP a nombres o IDs de ubicaciones de Shopify. Acepta
+ * pares en línea ("BC01=Bodega Central;TP02=gid://shopify/Location/123") o la
+ * ruta a un JSON ({ "BC01": "Bodega Central" }), relativa al directorio actual.
+ * Devuelve un objeto código normalizado -> nombre o ID.
+ */
+export const parseLocationAliases = (value) => {
+  const raw = String(value ?? "").trim();
+  if (!raw) return {};
+
+  let pairs;
+  if (/\.json$/i.test(raw)) {
+    const filePath = path.resolve(process.cwd(), raw);
+    if (!fs.existsSync(filePath)) throw new Error(`Location aliases file not found: ${filePath}`);
+    pairs = Object.entries(JSON.parse(fs.readFileSync(filePath, "utf8")));
+  } else {
+    pairs = raw.split(";").filter((part) => part.trim()).map((part) => {
+      const separator = part.indexOf("=");
+      if (separator < 0) throw new Error(`Invalid location alias "${part.trim()}" (expected CODE=Location name)`);
+      return [part.slice(0, separator), part.slice(separator + 1)];
+    });
+  }
+
+  return Object.fromEntries(pairs.map(([code, target]) => [normalizeName(code), String(target).trim()]));
+};
+
+// Variables del proceso más las del archivo .env del perfil, en una copia: process.env no se toca
+const readEnv = (envProfile) => {
+  const envPath = envFilePath(envProfile);
+  if (envProfile && !fs.existsSync(envPath)) {
+    throw new Error(`Env profile file not found: ${envPath}`);
+  }
+
+  const env = { ...process.env };
+  if (fs.existsSync(envPath)) {
+    // override: el perfil elegido manda sobre variables ya cargadas
+    dotenv.config({ path: envPath, processEnv: env, override: Boolean(envProfile), quiet: true });
+  }
+  return { env, envPath };
+};
+
+// LOG_LEVEL del perfil (o del entorno), sin exigir credenciales
+export const loadLogLevel = (envProfile) => readEnv(envProfile).env.LOG_LEVEL || undefined;
+
+/**
+ * Lee las credenciales de Shopify desde el archivo .env del perfil indicado.
+ * Las opciones explícitas (ej: --api-version) tienen prioridad sobre el archivo.
+ */
+export const loadConfig = ({ envProfile, apiVersion } = {}) => {
+  const { env, envPath } = readEnv(envProfile);
+
+  const store = env.SHOPIFY_STORE;
+  const token = env.SHOPIFY_TOKEN;
+  if (!store || !token) {
+    throw new Error(`Missing SHOPIFY_STORE or SHOPIFY_TOKEN in ${path.basename(envPath)}`);
+  }
+
+  return {
+    store,
+    token,
+    apiVersion: apiVersion || env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION,
+    locationAliases: parseLocationAliases(env.SHOPIFY_LOCATION_ALIASES),
+    // Ubicaciones por defecto del importador de productos (ej: "Bodega Central:0;Tienda Providencia")
+    defaultLocations: env.SHOPIFY_DEFAULT_LOCATIONS || undefined,
+    // Solo para apuntar a otro host (ej: http://127.0.0.1:PORT del mock de tests)
+    baseUrl: env.SHOPIFY_BASE_URL || undefined,
+  };
+};
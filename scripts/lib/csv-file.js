@@ -0,0 +1,17 @@
+import fs from "fs";
+import csv from "csv-parser";
+
+// Lee un CSV completo como objetos por encabezado. Excel ("CSV UTF-8") y las
+// exportaciones de Shopify suelen traer BOM en el primer encabezado: se quita.
+export const readCsv = (filePath) =>
+  new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, "") }))
+      .on("data", (data) => rows.push(data))
+      .on("end", () => resolve(rows))
+      .on("error", (err) => reject(err));
+  });
+
+// Valor de una columna sin espacios alrededor ("" si falta)
+export const cell = (row, column) => String(row[column] ?? "").trim();
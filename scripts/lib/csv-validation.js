@@ -0,0 +1,219 @@
+import { createObjectCsvWriter } from "csv-writer";
+import { cell } from "./csv-file.js";
+import { METAFIELD_COLUMN, normalizeTags, parseAttributes } from "./product-attributes.js";
+import { normalizeName, resolveAlias } from "./locations.js";
+import { parseLocationList } from "./product-locations.js";
+import { QUANTITY_NAMES, parseQuantity } from "./inventory-rows.js";
+
+// Validación previa de los CSV de entrada: revisa el archivo completo antes de
+// cualquier escritura y devuelve los problemas con su número de línea. Los
+// errores bloquean la ejecución (salvo --force); las advertencias no.
+
+const PRODUCT_COLUMNS = [
+  "handle",
+  "title",
+  "body_html",
+  "price",
+  "sku",
+  "barcode",
+  "option1_name",
+  "option1_value",
+  "option2_name",
+  "option2_value",
+  "option3_name",
+  "option3_value",
+  "images",
+  "image_alt",
+  "image_position",
+  "vendor",
+  "product_type",
+  "tags",
+  "status",
+  "seo_title",
+  "seo_description",
+  "compare_at_price",
+  "weight",
+  "weight_unit",
+  "taxable",
+  "requires_shipping",
+  "locations",
+];
+
+// Las columnas de cantidades de `inventory export` (on_hand, committed, ...) se aceptan como informativas
+const INVENTORY_COLUMNS = ["sku", "location_name", "delta", "quantity_name", "reason", "reference_document_uri", ...QUANTITY_NAMES];
+
+// Campos de producto que deben coincidir en todas las filas de un handle (las celdas vacías no cuentan)
+const PRODUCT_LEVEL_FIELDS = ["title", "body_html", "vendor", "product_type", "tags", "status", "seo_title", "seo_description"];
+
+// Largos de EAN-8, UPC-A, EAN-13 y GTIN-14
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+const createIssues = () => {
+  const issues = [];
+  const add = (severity) => (line, column, message) => issues.push({ line, column: column || "", severity, message });
+  return { issues, error: add("error"), warning: add("warning") };
+};
+
+// Dígito verificador GS1: pesos 3 y 1 alternados desde la derecha
+export const isValidGtin = (code) => {
+  const digits = code.split("").map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((acc, digit, i) => acc + digit * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+};
+
+const checkColumns = ({ warning }, rows, isKnown) => {
+  const columns = Object.keys(rows[0] || {}).filter((column) => !column.startsWith("_"));
+  for (const column of columns) {
+    if (!isKnown(column.trim())) warning(1, column, `Unknown column "${column}", it will be ignored`);
+  }
+};
+
+// Solo los códigos numéricos con largo de EAN/UPC tienen dígito verificador; el resto
+// (códigos internos, ISBN con guiones...) se acepta tal cual
+const checkBarcode = ({ error }, line, barcode) => {
+  if (/^\d+$/.test(barcode) && GTIN_LENGTHS.includes(barcode.length) && !isValidGtin(barcode)) {
+    error(line, "barcode", `Invalid EAN/UPC check digit in barcode ${barcode}`);
+  }
+};
+
+// Comparación de un campo de producto entre filas del mismo handle
+const productFieldValue = (field, value) => {
+  if (field === "tags") return normalizeTags(value).join(", ");
+  if (field === "status") return value.toLowerCase();
+  return value;
+};
+
+/**
+ * Valida el CSV del importador (filas ya mapeadas si venían en el formato de
+ * exportación de Shopify): handle y SKU obligatorios, SKUs repetidos, precio
+ * numérico, dígito verificador de EAN/UPC, atributos y ubicaciones válidos,
+ * campos de producto coherentes entre las filas de un handle y columnas
+ * conocidas. Devuelve [{ line, column, severity, message }].
+ */
+export const validateProductRows = (rows) => {
+  const issues = createIssues();
+  const { error } = issues;
+  checkColumns(issues, rows, (column) => PRODUCT_COLUMNS.includes(column) || METAFIELD_COLUMN.test(column));
+
+  const skus = new Map();
+  const products = new Map();
+  rows.forEach((row, i) => {
+    const line = row._line ?? i + 2;
+    const handle = cell(row, "handle").toLowerCase();
+    const sku = cell(row, "sku");
+
+    if (!handle) error(line, "handle", "Missing handle");
+    if (!sku) error(line, "sku", "Missing SKU");
+    else if (skus.has(sku)) error(line, "sku", `Duplicate SKU ${sku} (first seen on line ${skus.get(sku)})`);
+    else skus.set(sku, line);
+
+    const price = cell(row, "price");
+    if (!price) error(line, "price", "Missing price");
+    else if (!/^\d+(?:[.,]\d+)?$/.test(price)) error(line, "price", `Invalid price "${price}"`);
+
+    checkBarcode(issues, line, cell(row, "barcode"));
+    parseAttributes(row).errors.forEach((message) => error(line, "", message));
+    parseLocationList(row.locations).errors.forEach((message) => error(line, "locations", message));
+
+    if (!handle) return;
+    if (!products.has(handle)) products.set(handle, {});
+    const first = products.get(handle);
+    for (const field of PRODUCT_LEVEL_FIELDS) {
+      const value = cell(row, field);
+      if (!value) continue;
+      if (!first[field]) first[field] = { line, value };
+      else if (productFieldValue(field, first[field].value) !== productFieldValue(field, value)) {
+        error(line, field, `Conflicting ${field} for handle ${handle} (line ${first[field].line} has "${first[field].value}")`);
+      }
+    }
+  });
+
+  return issues.issues;
+};
+
+/**
+ * Valida el CSV de inventory set: SKU y ubicación obligatorios, cantidades
+ * enteras, quantity_name / reason válidos (con los globales de `defaults`),
+ * pares sku+ubicación repetidos con valor absoluto (el segundo pisaría al
+ * primero; los delta sí se pueden repetir) y columnas conocidas. Los códigos
+ * de `aliases` cuentan como la ubicación a la que apuntan.
+ */
+export const validateInventoryRows = (rows, defaults, aliases = {}) => {
+  const issues = createIssues();
+  const { error } = issues;
+  checkColumns(issues, rows, (column) => INVENTORY_COLUMNS.includes(column));
+
+  const pairs = new Map();
+  rows.forEach((row, i) => {
+    const line = i + 2;
+    const sku = cell(row, "sku");
+    const locationName = cell(row, "location_name");
+
+    if (!sku) error(line, "sku", "Missing SKU");
+    if (!locationName) error(line, "location_name", "Missing location_name");
+
+    const available = cell(row, "available");
+    if (available && !cell(row, "delta") && !/^[+-]?\d+$/.test(available)) {
+      error(line, "available", `Invalid available "${available}" (expected a whole number)`);
+      return;
+    }
+    const quantity = parseQuantity(row, defaults);
+    if (quantity.error) {
+      error(line, "", quantity.error);
+      return;
+    }
+
+    if (!sku || !locationName || quantity.delta !== undefined) return;
+    const key = [sku, normalizeName(resolveAlias(locationName, aliases)), quantity.quantityName].join("|");
+    if (pairs.has(key)) {
+      error(line, "location_name", `Duplicate ${sku} @ ${locationName} (first seen on line ${pairs.get(key)}), only the last value would remain`);
+    } else {
+      pairs.set(key, line);
+    }
+  });
+
+  return issues.issues;
+};
+
+// reports/inventory-report-X.csv -> reports/inventory-report-X.validation.csv
+export const validationPathFor = (reportPath) => `${reportPath.replace(/\.csv$/i, "")}.validation.csv`;
+
+const writeValidationReport = async (issues, outPath) => {
+  const csvWriter = createObjectCsvWriter({
+    path: outPath,
+    header: [
+      { id: "line", title: "line" },
+      { id: "column", title: "column" },
+      { id: "severity", title: "severity" },
+      { id: "message", title: "message" },
+    ],
+  });
+  await csvWriter.writeRecords(issues);
+};
+
+/**
+ * Informa el resultado de la validación: con problemas escribe el reporte de
+ * validación junto al reporte de la ejecución. Lanza un error si hay errores
+ * bloqueantes, salvo con `force` o en modo plan/dry run (que no escriben).
+ */
+export const enforceValidation = async (issues, { reportPath, force = false, dryRun = false, logger }) => {
+  const errors = issues.filter((issue) => issue.severity === "error").length;
+  const warnings = issues.length - errors;
+  if (!issues.length) {
+    logger.info("✓ CSV validation passed");
+    return { errors, warnings, path: null };
+  }
+
+  const outPath = validationPathFor(reportPath);
+  await writeValidationReport(issues, outPath);
+  issues.slice(0, 10).forEach((i) => logger.warn(`  line ${i.line}${i.column ? ` [${i.column}]` : ""}: ${i.severity} - ${i.message}`));
+  if (issues.length > 10) logger.warn(`  ... ${issues.length - 10} more`);
+  logger.warn(`⚠️  CSV validation: ${errors} error(s), ${warnings} warning(s). Validation report: ${outPath}`);
+
+  if (errors && !force && !dryRun) {
+    throw new Error(`CSV validation failed with ${errors} error(s), nothing was written (see ${outPath}, or re-run with --force)`);
+  }
+  if (errors && force) logger.warn(`⚠️  --force: running despite ${errors} validation error(s)`);
+  return { errors, warnings, path: outPath };
+};
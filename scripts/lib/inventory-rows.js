@@ -0,0 +1,77 @@
+import { cell } from "./csv-file.js";
+
+// Columnas de cantidad del CSV de inventario (inventory set / inventory export)
+
+// Cantidades de un nivel de inventario que se pueden leer (inventory export)
+export const QUANTITY_NAMES = [
+  "available",
+  "on_hand",
+  "committed",
+  "incoming",
+  "reserved",
+  "damaged",
+  "safety_stock",
+  "quality_control",
+];
+
+// Cantidades que se pueden fijar con un valor absoluto (columna available)
+export const SET_QUANTITY_NAMES = ["available", "on_hand"];
+// Cantidades que se pueden ajustar con un delta (columna delta)
+export const ADJUST_QUANTITY_NAMES = ["available", "damaged", "incoming", "quality_control", "reserved", "safety_stock"];
+// Motivos que acepta Shopify; quedan en el historial de ajustes del admin
+export const INVENTORY_REASONS = [
+  "correction",
+  "cycle_count_available",
+  "damaged",
+  "movement_created",
+  "movement_updated",
+  "movement_received",
+  "movement_canceled",
+  "other",
+  "promotion",
+  "quality_control",
+  "received",
+  "reservation_created",
+  "reservation_deleted",
+  "reservation_updated",
+  "restock",
+  "safety_stock",
+  "shrinkage",
+];
+export const DEFAULT_REASON = "correction";
+
+/**
+ * Lee la cantidad de la fila: `available` (valor absoluto) o `delta` (+12,
+ * -3), sobre la cantidad `quantity_name` (available por defecto), con el
+ * `reason` y `reference_document_uri` de la fila o los globales de `defaults`.
+ */
+export const parseQuantity = (row, defaults) => {
+  const quantityName = cell(row, "quantity_name").toLowerCase() || "available";
+  const reason = cell(row, "reason").toLowerCase() || defaults.reason;
+  const referenceDocumentUri = cell(row, "reference_document_uri") || defaults.referenceDocumentUri;
+  const fields = { quantityName, reason, ...(referenceDocumentUri ? { referenceDocumentUri } : {}) };
+
+  if (cell(row, "available") && cell(row, "delta")) {
+    return { error: "Row has both available and delta, use only one" };
+  }
+  if (cell(row, "delta")) {
+    if (!/^[+-]?\d+$/.test(cell(row, "delta"))) return { error: `Invalid delta "${cell(row, "delta")}"` };
+    if (!ADJUST_QUANTITY_NAMES.includes(quantityName)) {
+      return { error: `Invalid quantity_name "${quantityName}" for delta (expected ${ADJUST_QUANTITY_NAMES.join(", ")})` };
+    }
+    if (quantityName !== "available" && !referenceDocumentUri) {
+      return { error: `reference_document_uri is required to adjust ${quantityName}` };
+    }
+    fields.delta = parseInt(cell(row, "delta"), 10);
+  } else {
+    const quantity = parseInt(row.available, 10);
+    if (isNaN(quantity)) return { error: "Missing or invalid data (sku, location_name, and available or delta)" };
+    if (!SET_QUANTITY_NAMES.includes(quantityName)) {
+      return { error: `Invalid quantity_name "${quantityName}" for available (expected ${SET_QUANTITY_NAMES.join(", ")}; use delta for the rest)` };
+    }
+    fields.quantity = quantity;
+  }
+
+  if (!INVENTORY_REASONS.includes(reason)) return { error: `Invalid reason "${reason}"` };
+  return fields;
+};
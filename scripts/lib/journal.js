@@ -0,0 +1,69 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Journals de ejecuciones en curso (uno por tipo de ejecución, tienda y archivo de entrada)
+const defaultDir = () => path.resolve(process.cwd(), "reports", "journal");
+
+export const hashFile = (filePath) => crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+
+// "mi-tienda.myshopify.com" -> "mi-tienda"
+const storeSlug = (store) => (store || "").replace(/\.myshopify\.com$/i, "").replace(/[^a-z0-9-]+/gi, "-").toLowerCase() || "store";
+
+// reports/journal/product-import-<tienda>-<hash>.jsonl: el mismo contenido en la misma tienda
+// siempre cae en el mismo journal, y --env chile,peru deja uno por tienda
+export const journalPathFor = (kind, store, hash, dir = defaultDir()) =>
+  path.join(dir, `${kind}-${storeSlug(store)}-${hash.slice(0, 16)}.jsonl`);
+
+// Una línea JSON por registro; una última línea cortada (proceso muerto a mitad de escritura) se ignora
+const readLines = (journalPath) =>
+  fs
+    .readFileSync(journalPath, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+
+/**
+ * Abre el journal de una ejecución. Cada fila procesada se agrega con
+ * `record(index, entry)` apenas termina, de modo que si el proceso se cae
+ * queda constancia de lo ya hecho.
+ *
+ * Con `resume`, `done` trae lo registrado por la ejecución anterior sobre el
+ * mismo archivo (mismo hash de contenido) y la misma tienda: índice de fila ->
+ * último entry registrado. Cada script decide qué filas da por terminadas.
+ * Sin `resume` el journal se reinicia.
+ */
+export const openJournal = ({ kind, file, store, resume = false, dir = defaultDir(), logger }) => {
+  const hash = hashFile(file);
+  const journalPath = journalPathFor(kind, store, hash, dir);
+  const exists = fs.existsSync(journalPath);
+  const done = new Map();
+
+  if (resume && exists) {
+    const [header, ...records] = readLines(journalPath);
+    if (header?.store && header.store !== store) {
+      throw new Error(`Journal ${journalPath} belongs to ${header.store}, but the current profile points to ${store}`);
+    }
+    for (const { index, entry } of records) done.set(index, entry);
+  } else {
+    if (resume) logger.info("↻ No journal found for this file, starting from the first row");
+    else if (exists) logger.warn(`⚠️  Discarding the journal of an unfinished run of this file (use --resume to continue it)`);
+    fs.mkdirSync(dir, { recursive: true });
+    const header = { kind, file: path.resolve(file), hash, store, startedAt: new Date().toISOString() };
+    fs.writeFileSync(journalPath, JSON.stringify(header) + "\n");
+  }
+
+  return {
+    path: journalPath,
+    done,
+    record: (index, entry) => fs.appendFileSync(journalPath, JSON.stringify({ index, entry }) + "\n"),
+    // Se borra solo cuando la ejecución terminó sin filas pendientes
+    remove: () => fs.rmSync(journalPath, { force: true }),
+  };
+};
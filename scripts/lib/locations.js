@@ -0,0 +1,67 @@
+import { graphqlErrors } from "./shopify-client.js";
+
+// Ubicaciones de la tienda (GraphQL), compartidas por los scripts de inventario y productos
+
+/**
+ * Todas las ubicaciones, incluidas las inactivas y las legacy (apps de
+ * fulfillment), en una sola pasada paginada. Devuelve [{ id, name, isActive }]
+ * con el id como GID.
+ */
+export const getLocations = async (api) => {
+  const query = `
+    query getLocations($after: String) {
+      locations(first: 250, after: $after, includeLegacy: true, includeInactive: true) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          id
+          name
+          isActive
+        }
+      }
+    }
+  `;
+
+  const locations = [];
+  let after = null;
+  do {
+    const res = await api.graphql.post("", { query, variables: { after } });
+    const errors = graphqlErrors(res);
+    if (errors) throw new Error(`Error fetching locations: ${errors}`);
+
+    const { nodes, pageInfo } = res.data.data.locations;
+    locations.push(...nodes);
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (after);
+  return locations;
+};
+
+// "  Shop  location 2 " -> "shop location 2"
+export const normalizeName = (name) => String(name).toLowerCase().replace(/\s+/g, " ").trim();
+
+// "gid://shopify/Location/123" o "123" -> "123"; null si no es un ID de ubicación
+const locationIdOf = (value) => {
+  const match = /^(?:gid:\/\/shopify\/Location\/)?(\d+)$/.exec(String(value).trim());
+  return match ? match[1] : null;
+};
+
+// Nombre o ID al que apunta un código de `aliases`; el mismo valor si no es un alias
+export const resolveAlias = (locationName, aliases = {}) => aliases[normalizeName(locationName)] ?? locationName;
+
+/**
+ * Busca una ubicación por nombre (sin distinguir mayúsculas ni espacios
+ * repetidos) o por ID (GID o numérico). Si el valor es un código de `aliases`
+ * (ver parseLocationAliases en lib/config.js), se busca la ubicación a la que
+ * apunta. Funciona con ids GID o numéricos en `locations`.
+ */
+export const findLocation = (locations, locationName, aliases = {}) => {
+  const target = resolveAlias(locationName, aliases);
+  const id = locationIdOf(target);
+  return (
+    (id && locations.find((loc) => locationIdOf(loc.id) === id)) ||
+    locations.find((loc) => normalizeName(loc.name) === normalizeName(target)) ||
+    null
+  );
+};
@@ -0,0 +1,16 @@
+// Logger mínimo con niveles, compartido por los scripts y el cliente de Shopify.
+// El CLI le pasa el nivel de --verbose/--quiet o de LOG_LEVEL del perfil (ver loadLogLevel)
+const LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 };
+
+export const createLogger = ({ level = "info" } = {}) => {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const enabled = (name) => LEVELS[name] <= threshold;
+
+  return {
+    level,
+    error: (...args) => enabled("error") && console.error(...args),
+    warn: (...args) => enabled("warn") && console.warn(...args),
+    info: (...args) => enabled("info") && console.log(...args),
+    debug: (...args) => enabled("debug") && console.log(...args),
+  };
+};
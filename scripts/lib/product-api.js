@@ -0,0 +1,383 @@
+import { graphqlErrors } from "./shopify-client.js";
+import { DEFAULT_OPTION_VALUE, isDefaultOptions, optionFields } from "./product-options.js";
+import { IMAGE_SOURCES_METAFIELD } from "./product-images.js";
+
+// Productos, variantes e inventario del importador con la Admin API GraphQL.
+// Los productos se devuelven con la forma que usa el planificador (ids
+// numéricos, option1..option3, price, tags como texto, ...), así el plan, el
+// diff y el reporte no dependen de la forma de la API.
+
+const WEIGHT_UNITS = { g: "GRAMS", kg: "KILOGRAMS", lb: "POUNDS", oz: "OUNCES" };
+const WEIGHT_UNIT_KEYS = Object.fromEntries(Object.entries(WEIGHT_UNITS).map(([key, unit]) => [unit, key]));
+
+export const toGid = (type, id) => `gid://shopify/${type}/${id}`;
+export const numericId = (gid) => Number(String(gid).split("/").pop());
+
+const VARIANT_FIELDS = `
+  fragment VariantFields on ProductVariant {
+    id
+    sku
+    price
+    barcode
+    compareAtPrice
+    taxable
+    selectedOptions {
+      name
+      value
+    }
+    inventoryItem {
+      id
+      requiresShipping
+      measurement {
+        weight {
+          value
+          unit
+        }
+      }
+    }
+  }
+`;
+
+const PRODUCT_FIELDS = `
+  fragment ProductFields on Product {
+    id
+    handle
+    title
+    descriptionHtml
+    vendor
+    productType
+    tags
+    status
+    seo {
+      title
+      description
+    }
+    options {
+      name
+    }
+    variants(first: 250) {
+      nodes {
+        ...VariantFields
+      }
+    }
+    media(first: 250) {
+      nodes {
+        id
+        alt
+        ... on MediaImage {
+          image {
+            id
+            url
+          }
+        }
+      }
+    }
+    metafields(first: 250) {
+      nodes {
+        namespace
+        key
+        value
+      }
+    }
+  }
+  ${VARIANT_FIELDS}
+`;
+
+const fromVariantNode = (node, names) => {
+  const weight = node.inventoryItem?.measurement?.weight;
+  const values = names.map((name) => node.selectedOptions.find((o) => o.name === name)?.value ?? null);
+  return {
+    id: numericId(node.id),
+    sku: node.sku || "",
+    price: node.price,
+    barcode: node.barcode || null,
+    compare_at_price: node.compareAtPrice || null,
+    taxable: node.taxable,
+    weight: weight ? weight.value : 0,
+    weight_unit: weight ? WEIGHT_UNIT_KEYS[weight.unit] : "kg",
+    requires_shipping: node.inventoryItem?.requiresShipping,
+    inventory_item_id: node.inventoryItem ? numericId(node.inventoryItem.id) : null,
+    ...optionFields(values),
+  };
+};
+
+const fromProductNode = (node) => {
+  if (!node) return null;
+  const names = node.options.map((o) => o.name);
+  const metafields = Object.fromEntries(node.metafields.nodes.map((m) => [`${m.namespace}.${m.key}`, m.value]));
+  const sources = metafields[`${IMAGE_SOURCES_METAFIELD.namespace}.${IMAGE_SOURCES_METAFIELD.key}`];
+  return {
+    id: numericId(node.id),
+    handle: node.handle,
+    title: node.title,
+    body_html: node.descriptionHtml,
+    vendor: node.vendor,
+    product_type: node.productType,
+    tags: node.tags.join(", "),
+    status: node.status.toLowerCase(),
+    options: names.map((name) => ({ name })),
+    variants: node.variants.nodes.map((v) => fromVariantNode(v, names)),
+    // La posición cuenta todo el media del producto (imágenes y videos), desde 1
+    images: node.media.nodes
+      .map((m, i) => m.image && { id: numericId(m.id), image_id: numericId(m.image.id), src: m.image.url, alt: m.alt || null, position: i + 1 })
+      .filter(Boolean),
+    details: { seo: { title: node.seo.title || "", description: node.seo.description || "" }, metafields },
+    imageSources: sources ? JSON.parse(sources) : {},
+  };
+};
+
+const PRODUCT_INPUT_FIELDS = { title: "title", handle: "handle", body_html: "descriptionHtml", vendor: "vendor", product_type: "productType" };
+
+// ProductInput a partir de los campos del plan (title, body_html, vendor, tags, status, ...)
+const toProductInput = (fields, { seo = {}, metafields = [] } = {}) => {
+  const input = {};
+  for (const [field, inputField] of Object.entries(PRODUCT_INPUT_FIELDS)) {
+    if (fields[field] !== undefined) input[inputField] = fields[field];
+  }
+  if (fields.tags !== undefined) input.tags = fields.tags.split(",").map((t) => t.trim()).filter(Boolean);
+  if (fields.status !== undefined) input.status = fields.status.toUpperCase();
+  if (Object.keys(seo).length) input.seo = seo;
+  if (metafields.length) input.metafields = metafields;
+  return input;
+};
+
+/**
+ * ProductVariantsBulkInput a partir de una variante del plan (id, option1..N,
+ * price, sku, barcode, compare_at_price, weight, weight_unit, taxable,
+ * requires_shipping, tracked). SKU, peso y requires_shipping viven en el
+ * inventory item; el peso necesita su unidad, que se toma de `current` si la
+ * fila no la indica.
+ */
+const toVariantInput = (variant, names, current) => {
+  const input = {};
+  if (variant.id) input.id = toGid("ProductVariant", variant.id);
+  const values = names.map((_, i) => variant[`option${i + 1}`]);
+  if (values.some((value) => value !== undefined)) {
+    input.optionValues = names.map((name, i) => ({ optionName: name, name: values[i] ?? current?.[`option${i + 1}`] }));
+  }
+  if (variant.price !== undefined) input.price = String(variant.price);
+  if (variant.compare_at_price !== undefined) input.compareAtPrice = String(variant.compare_at_price);
+  if (variant.barcode !== undefined) input.barcode = variant.barcode;
+  if (variant.taxable !== undefined) input.taxable = variant.taxable;
+
+  const item = {};
+  if (variant.sku !== undefined) item.sku = variant.sku;
+  if (variant.tracked !== undefined) item.tracked = variant.tracked;
+  if (variant.requires_shipping !== undefined) item.requiresShipping = variant.requires_shipping;
+  if (variant.weight !== undefined || variant.weight_unit !== undefined) {
+    const unit = variant.weight_unit ?? current?.weight_unit ?? "kg";
+    item.measurement = { weight: { value: Number(variant.weight ?? current?.weight ?? 0), unit: WEIGHT_UNITS[unit] } };
+  }
+  if (Object.keys(item).length) input.inventoryItem = item;
+  return input;
+};
+
+// Ejecuta una mutación y lanza un error con los errores GraphQL o userErrors que devuelva
+const mutate = async (api, name, query, variables, action) => {
+  const res = await api.graphql.post("", { query, variables });
+  const errors = graphqlErrors(res);
+  if (errors) throw new Error(`Error ${action}: ${errors}`);
+  const payload = res.data.data[name];
+  const userErrors = payload.userErrors || [];
+  if (userErrors.length) throw new Error(`Error ${action}: ${userErrors.map((e) => e.message).join(", ")}`);
+  return payload;
+};
+
+/**
+ * Busca un producto por handle con todo lo que necesita el plan: variantes,
+ * imágenes, SEO y metafields (incluido el de claves de origen de imágenes).
+ * Se usa productByHandle y no la búsqueda `products(query:)`, cuyo índice
+ * tarda en reflejar los productos recién creados.
+ */
+export const findProductByHandle = async (api, handle) => {
+  const query = `
+    query findProductByHandle($handle: String!) {
+      productByHandle(handle: $handle) {
+        ...ProductFields
+      }
+    }
+    ${PRODUCT_FIELDS}
+  `;
+  const res = await api.graphql.post("", { query, variables: { handle } });
+  const errors = graphqlErrors(res);
+  if (errors) throw new Error(`Error reading product ${handle}: ${errors}`);
+  return fromProductNode(res.data.data.productByHandle);
+};
+
+/**
+ * Crea el producto con sus opciones; Shopify crea una sola variante con el
+ * primer valor de cada opción, que luego se completa con updateVariant. Un
+ * producto sin variantes no envía opciones: Shopify le crea la oculta.
+ */
+export const createProduct = async (api, fields, { seo, metafields, options }) => {
+  const mutation = `
+    mutation productCreate($input: ProductInput!) {
+      productCreate(input: $input) {
+        product {
+          ...ProductFields
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+    ${PRODUCT_FIELDS}
+  `;
+  const input = toProductInput(fields, { seo, metafields });
+  if (!isDefaultOptions(options)) input.productOptions = options.map(({ name, value }) => ({ name, values: [{ name: value }] }));
+  const payload = await mutate(api, "productCreate", mutation, { input }, `creating product ${fields.handle}`);
+  return fromProductNode(payload.product);
+};
+
+export const updateProduct = async (api, productId, fields, { seo, metafields } = {}) => {
+  const mutation = `
+    mutation productUpdate($input: ProductInput!) {
+      productUpdate(input: $input) {
+        product {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const input = { id: toGid("Product", productId), ...toProductInput(fields, { seo, metafields }) };
+  await mutate(api, "productUpdate", mutation, { input }, `updating product ${productId}`);
+};
+
+// Agrega opciones nuevas al producto; las variantes existentes quedan con DEFAULT_OPTION_VALUE en ellas.
+// En un producto sin variantes Shopify reemplaza la opción oculta (Title) por las nuevas.
+export const addProductOptions = async (api, product, names) => {
+  const mutation = `
+    mutation productOptionsCreate($productId: ID!, $options: [OptionCreateInput!]!) {
+      productOptionsCreate(productId: $productId, options: $options) {
+        product {
+          ...ProductFields
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+    ${PRODUCT_FIELDS}
+  `;
+  const variables = {
+    productId: toGid("Product", product.id),
+    options: names.map((name) => ({ name, values: [{ name: DEFAULT_OPTION_VALUE }] })),
+  };
+  const payload = await mutate(api, "productOptionsCreate", mutation, variables, `adding option(s) to product ${product.id}`);
+  return fromProductNode(payload.product);
+};
+
+const bulkVariants = async (api, name, product, variant, current) => {
+  const mutation = `
+    mutation ${name}($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+      ${name}(productId: $productId, variants: $variants) {
+        productVariants {
+          ...VariantFields
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+    ${VARIANT_FIELDS}
+  `;
+  const names = product.options.map((o) => o.name);
+  const variables = { productId: toGid("Product", product.id), variants: [toVariantInput(variant, names, current)] };
+  const action = name === "productVariantsBulkCreate" ? `creating variant ${variant.sku}` : `updating variant ${variant.id}`;
+  const payload = await mutate(api, name, mutation, variables, action);
+  return fromVariantNode(payload.productVariants[0], names);
+};
+
+export const createVariant = (api, product, variant) => bulkVariants(api, "productVariantsBulkCreate", product, variant);
+
+// `current` es la variante actual (para completar la unidad de peso y las opciones)
+export const updateVariant = (api, product, variant, current) =>
+  bulkVariants(api, "productVariantsBulkUpdate", product, variant, current);
+
+/**
+ * Cantidad disponible del inventory item en cada ubicación donde ya está
+ * activo: Map de id numérico de ubicación -> available.
+ */
+export const getInventoryLevels = async (api, inventoryItemId) => {
+  const query = `
+    query getInventoryItemLevels($id: ID!) {
+      inventoryItem(id: $id) {
+        inventoryLevels(first: 250) {
+          nodes {
+            location {
+              id
+            }
+            quantities(names: ["available"]) {
+              name
+              quantity
+            }
+          }
+        }
+      }
+    }
+  `;
+  const res = await api.graphql.post("", { query, variables: { id: toGid("InventoryItem", inventoryItemId) } });
+  const errors = graphqlErrors(res);
+  if (errors) throw new Error(`Error reading inventory levels of item ${inventoryItemId}: ${errors}`);
+  const nodes = res.data.data.inventoryItem?.inventoryLevels.nodes || [];
+  return new Map(nodes.map((node) => [numericId(node.location.id), node.quantities[0]?.quantity ?? 0]));
+};
+
+// Activa el inventory item en una ubicación. `available` es la cantidad inicial y
+// solo se puede enviar si el item aún no está activo ahí: Shopify lo rechaza si ya lo está.
+export const activateInventory = async (api, inventoryItemId, locationId, available) => {
+  const mutation = `
+    mutation inventoryActivate($inventoryItemId: ID!, $locationId: ID!, $available: Int) {
+      inventoryActivate(inventoryItemId: $inventoryItemId, locationId: $locationId, available: $available) {
+        inventoryLevel {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const variables = {
+    inventoryItemId: toGid("InventoryItem", inventoryItemId),
+    locationId: toGid("Location", locationId),
+    ...(available !== undefined ? { available } : {}),
+  };
+  await mutate(api, "inventoryActivate", mutation, variables, `activating inventory item ${inventoryItemId}`);
+};
+
+// Fija la cantidad disponible de un nivel ya activo. `compareQuantity` es la
+// cantidad leída antes: si cambió entretanto, Shopify rechaza el cambio.
+export const setAvailableQuantity = async (api, inventoryItemId, locationId, available, compareQuantity) => {
+  const mutation = `
+    mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+      inventorySetQuantities(input: $input) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const input = {
+    name: "available",
+    reason: "correction",
+    quantities: [
+      {
+        inventoryItemId: toGid("InventoryItem", inventoryItemId),
+        locationId: toGid("Location", locationId),
+        quantity: available,
+        compareQuantity,
+      },
+    ],
+  };
+  await mutate(api, "inventorySetQuantities", mutation, { input }, `setting inventory of item ${inventoryItemId}`);
+};
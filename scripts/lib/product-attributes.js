@@ -0,0 +1,87 @@
+import { cell } from "./csv-file.js";
+
+// Atributos de producto y variante del importador (además de título, precio,
+// SKU, código de barras, opciones e imágenes). Una celda vacía no modifica el
+// valor actual en Shopify.
+
+export const PRODUCT_STATUSES = ["active", "draft", "archived"];
+export const WEIGHT_UNITS = ["g", "kg", "lb", "oz"];
+
+// Tipo por defecto de las columnas metafield:namespace.key (se puede indicar
+// otro con metafield:namespace.key:tipo)
+const DEFAULT_METAFIELD_TYPE = "single_line_text_field";
+export const METAFIELD_COLUMN = /^metafield:([\w-]+)\.([\w-]+)(?::(\w+))?$/;
+
+const parseBoolean = (value) => {
+  const key = value.toLowerCase();
+  if (["true", "yes", "1", "si", "sí"].includes(key)) return true;
+  if (["false", "no", "0"].includes(key)) return false;
+  return null;
+};
+
+export const parseNumber = (value) => {
+  const number = Number(value.replace(",", "."));
+  return value === "" || isNaN(number) ? null : number;
+};
+
+// "b, a ,b" -> ["a", "b"] (los tags se comparan sin importar orden ni repetidos)
+export const normalizeTags = (tags) =>
+  [...new Set(String(tags ?? "").split(",").map((t) => t.trim()).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+/**
+ * Lee las columnas de atributos de una fila:
+ * vendor, product_type, tags, status, seo_title, seo_description,
+ * compare_at_price, weight, weight_unit, taxable, requires_shipping y
+ * metafield:namespace.key[:tipo]. Solo incluye las celdas con valor; los
+ * valores inválidos se informan en `errors`.
+ */
+export const parseAttributes = (row) => {
+  const errors = [];
+  const product = {};
+  const seo = {};
+  const variant = {};
+  const metafields = [];
+
+  for (const field of ["body_html", "vendor", "product_type"]) {
+    if (cell(row, field)) product[field] = cell(row, field);
+  }
+  if (cell(row, "tags")) product.tags = normalizeTags(cell(row, "tags")).join(", ");
+
+  const status = cell(row, "status").toLowerCase();
+  if (status && !PRODUCT_STATUSES.includes(status)) {
+    errors.push(`Invalid status "${status}" (expected ${PRODUCT_STATUSES.join(", ")})`);
+  } else if (status) product.status = status;
+
+  if (cell(row, "seo_title")) seo.title = cell(row, "seo_title");
+  if (cell(row, "seo_description")) seo.description = cell(row, "seo_description");
+
+  for (const field of ["compare_at_price", "weight"]) {
+    const value = cell(row, field);
+    if (!value) continue;
+    const number = parseNumber(value);
+    if (number === null || number < 0) errors.push(`Invalid ${field} "${value}"`);
+    else variant[field] = number;
+  }
+
+  const unit = cell(row, "weight_unit").toLowerCase();
+  if (unit && !WEIGHT_UNITS.includes(unit)) {
+    errors.push(`Invalid weight_unit "${unit}" (expected ${WEIGHT_UNITS.join(", ")})`);
+  } else if (unit) variant.weight_unit = unit;
+
+  for (const field of ["taxable", "requires_shipping"]) {
+    const value = cell(row, field);
+    if (!value) continue;
+    const bool = parseBoolean(value);
+    if (bool === null) errors.push(`Invalid ${field} "${value}" (expected true or false)`);
+    else variant[field] = bool;
+  }
+
+  for (const column of Object.keys(row)) {
+    const match = METAFIELD_COLUMN.exec(column.trim());
+    if (!match || !cell(row, column)) continue;
+    const [, namespace, key, type = DEFAULT_METAFIELD_TYPE] = match;
+    metafields.push({ namespace, key, type, value: cell(row, column) });
+  }
+
+  return { product, seo, variant, metafields, errors };
+};
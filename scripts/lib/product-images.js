@@ -0,0 +1,242 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import axios from "axios";
+import { graphqlErrors } from "./shopify-client.js";
+
+// Imágenes de producto: columnas del CSV, validación previa, subida de
+// archivos locales y clave estable para no volver a subir la misma imagen.
+
+const MIME_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+const CHECK_TIMEOUT = 10000;
+const CHECK_CONCURRENCY = 4;
+
+// Metafield del producto con { clave de origen -> id de imagen en Shopify }.
+// Shopify reescribe el src a su CDN, así que el src no sirve para deduplicar.
+export const IMAGE_SOURCES_METAFIELD = { namespace: "pinlab", key: "image_sources" };
+
+const split = (value) => String(value ?? "").split(";").map((s) => s.trim());
+
+/**
+ * Lee las columnas images, image_alt e image_position de una fila. Las tres
+ * se separan con ";" y se alinean por posición:
+ * images=a.jpg;b.jpg, image_alt=Frente;Espalda, image_position=1;2
+ */
+export const parseImages = (row) => {
+  const alts = split(row.image_alt);
+  const positions = split(row.image_position);
+  return split(row.images)
+    .map((source, i) => ({ source, alt: alts[i] || null, position: parseInt(positions[i], 10) || null }))
+    .filter((image) => image.source);
+};
+
+export const isRemoteImage = (source) => /^https?:\/\//i.test(source);
+
+const checkRemote = async (url) => {
+  const request = (method) =>
+    axios.request({
+      method,
+      url,
+      timeout: CHECK_TIMEOUT,
+      maxRedirects: 5,
+      responseType: "stream",
+      validateStatus: () => true,
+      headers: method === "GET" ? { Range: "bytes=0-0" } : {},
+    });
+
+  let res = await request("HEAD");
+  // Algunos servidores no aceptan HEAD; se pide solo el primer byte
+  if (res.status === 405 || res.status === 403) {
+    res.data?.destroy?.();
+    res = await request("GET");
+  }
+  res.data?.destroy?.();
+
+  if (res.status >= 400) return { ok: false, reason: `HTTP ${res.status}` };
+  const contentType = String(res.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (!contentType.startsWith("image/")) {
+    return { ok: false, reason: `not an image (content-type ${contentType || "missing"})` };
+  }
+  return { ok: true, kind: "remote", key: url, mimeType: contentType };
+};
+
+const checkLocal = (source, baseDir) => {
+  const filePath = path.resolve(baseDir, source);
+  if (!fs.existsSync(filePath)) return { ok: false, reason: `file not found (${filePath})` };
+
+  const ext = path.extname(filePath).toLowerCase();
+  const mimeType = MIME_TYPES[ext];
+  if (!mimeType) return { ok: false, reason: `unsupported image type (${ext || "no extension"})` };
+
+  // Clave por contenido: renombrar o mover el archivo no duplica la imagen
+  const content = fs.readFileSync(filePath);
+  const hash = crypto.createHash("sha256").update(content).digest("hex");
+  return { ok: true, kind: "local", key: `sha256:${hash}`, path: filePath, filename: path.basename(filePath), mimeType, size: content.length };
+};
+
+const checkImage = async (source, baseDir) => {
+  try {
+    return isRemoteImage(source) ? await checkRemote(source) : checkLocal(source, baseDir);
+  } catch (err) {
+    return { ok: false, reason: err.code || err.message };
+  }
+};
+
+/**
+ * Valida cada imagen una sola vez antes de importar: las URLs deben responder
+ * y devolver un content-type image/*, y los archivos locales (relativos a
+ * `baseDir`, la carpeta del CSV) deben existir y tener extensión de imagen.
+ * Devuelve un Map origen -> { ok, key, kind, ... } o { ok: false, reason }.
+ */
+export const checkImages = async (sources, { baseDir = process.cwd() } = {}) => {
+  const unique = [...new Set(sources)];
+  const checks = new Map();
+  let next = 0;
+
+  const worker = async () => {
+    while (next < unique.length) {
+      const source = unique[next++];
+      checks.set(source, await checkImage(source, baseDir));
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CHECK_CONCURRENCY, unique.length) }, worker));
+  return checks;
+};
+
+const productGid = (productId) => `gid://shopify/Product/${productId}`;
+const mediaGid = (mediaId) => `gid://shopify/MediaImage/${mediaId}`;
+
+// Las mutaciones de media informan sus errores en mediaUserErrors
+const mediaErrors = (res, name) =>
+  graphqlErrors(res) || res.data.data[name].mediaUserErrors.map((e) => e.message).join(", ");
+
+// Guarda { "https://...": 123, "sha256:...": 456 } (clave de origen -> id del
+// media) en el metafield del producto; se lee junto con el producto
+export const saveImageSources = async (api, productId, sources) => {
+  const mutation = `
+    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const metafields = [{ ownerId: productGid(productId), ...IMAGE_SOURCES_METAFIELD, type: "json", value: JSON.stringify(sources) }];
+  const res = await api.graphql.post("", { query: mutation, variables: { metafields } });
+  const errors = graphqlErrors(res) || res.data.data.metafieldsSet.userErrors.map((e) => e.message).join(", ");
+  if (errors) throw new Error(`Error saving image sources: ${errors}`);
+};
+
+/**
+ * Sube un archivo local con stagedUploadsCreate y devuelve la resourceUrl,
+ * que se usa como src al crear la imagen del producto.
+ */
+export const uploadLocalImage = async (api, image) => {
+  const mutation = `
+    mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets {
+          url
+          resourceUrl
+          parameters {
+            name
+            value
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const input = [
+    { resource: "IMAGE", filename: image.filename, mimeType: image.mimeType, fileSize: String(image.size), httpMethod: "POST" },
+  ];
+  const res = await api.graphql.post("", { query: mutation, variables: { input } });
+  const errors = graphqlErrors(res) || res.data.data.stagedUploadsCreate.userErrors.map((e) => e.message).join(", ");
+  if (errors) throw new Error(`Error creating staged upload for ${image.filename}: ${errors}`);
+
+  const [target] = res.data.data.stagedUploadsCreate.stagedTargets;
+  const form = new FormData();
+  target.parameters.forEach(({ name, value }) => form.append(name, value));
+  form.append("file", new Blob([fs.readFileSync(image.path)], { type: image.mimeType }), image.filename);
+  await axios.post(target.url, form, { timeout: 60000, maxBodyLength: Infinity });
+
+  return target.resourceUrl;
+};
+
+/**
+ * Agrega una imagen al producto desde una URL (o la resourceUrl de un staged
+ * upload). Devuelve el id numérico del media creado.
+ */
+export const addProductImage = async (api, productId, { src, alt }) => {
+  const mutation = `
+    mutation productCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
+      productCreateMedia(productId: $productId, media: $media) {
+        media {
+          id
+        }
+        mediaUserErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const media = [{ originalSource: src, mediaContentType: "IMAGE", ...(alt ? { alt } : {}) }];
+  const res = await api.graphql.post("", { query: mutation, variables: { productId: productGid(productId), media } });
+  const errors = mediaErrors(res, "productCreateMedia");
+  if (errors) throw new Error(`Error adding image ${src}: ${errors}`);
+  return Number(res.data.data.productCreateMedia.media[0].id.split("/").pop());
+};
+
+export const updateImageAlt = async (api, productId, mediaId, alt) => {
+  const mutation = `
+    mutation productUpdateMedia($productId: ID!, $media: [UpdateMediaInput!]!) {
+      productUpdateMedia(productId: $productId, media: $media) {
+        media {
+          id
+        }
+        mediaUserErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const media = [{ id: mediaGid(mediaId), alt }];
+  const res = await api.graphql.post("", { query: mutation, variables: { productId: productGid(productId), media } });
+  const errors = mediaErrors(res, "productUpdateMedia");
+  if (errors) throw new Error(`Error updating image ${mediaId}: ${errors}`);
+};
+
+// Mueve una imagen a `position` (1 = principal); Shopify aplica el orden en un job asíncrono
+export const moveImage = async (api, productId, mediaId, position) => {
+  const mutation = `
+    mutation productReorderMedia($id: ID!, $moves: [MoveInput!]!) {
+      productReorderMedia(id: $id, moves: $moves) {
+        job {
+          id
+        }
+        mediaUserErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const moves = [{ id: mediaGid(mediaId), newPosition: String(position - 1) }];
+  const res = await api.graphql.post("", { query: mutation, variables: { id: productGid(productId), moves } });
+  const errors = mediaErrors(res, "productReorderMedia");
+  if (errors) throw new Error(`Error moving image ${mediaId}: ${errors}`);
+};
@@ -0,0 +1,70 @@
+import { findLocation } from "./locations.js";
+
+// Ubicaciones donde se stockea cada variante importada: la columna `locations`
+// de la fila, el valor por defecto de la configuración
+// (SHOPIFY_DEFAULT_LOCATIONS) o, si no hay ninguno, todas las ubicaciones activas.
+
+/**
+ * "Bodega Central:10; Tienda Providencia" ->
+ * [{ name: "Bodega Central", available: 10 }, { name: "Tienda Providencia" }].
+ * La cantidad es opcional y solo se aplica al conectar la variante a una
+ * ubicación donde aún no está; los valores inválidos se informan en `errors`.
+ */
+export const parseLocationList = (value) => {
+  const targets = [];
+  const errors = [];
+
+  for (const part of String(value ?? "").split(";").map((p) => p.trim()).filter(Boolean)) {
+    const separator = part.lastIndexOf(":");
+    const name = (separator >= 0 ? part.slice(0, separator) : part).trim();
+    const quantity = separator >= 0 ? part.slice(separator + 1).trim() : "";
+
+    if (!name) {
+      errors.push(`Invalid location "${part}"`);
+    } else if (quantity && !/^\d+$/.test(quantity)) {
+      errors.push(`Invalid quantity "${quantity}" for location ${name}`);
+    } else if (targets.some((t) => t.name.toLowerCase() === name.toLowerCase())) {
+      errors.push(`Location ${name} is listed more than once`);
+    } else {
+      targets.push({ name, ...(quantity ? { available: parseInt(quantity, 10) } : {}) });
+    }
+  }
+
+  return { targets, errors };
+};
+
+/**
+ * Resuelve los destinos contra las ubicaciones de la tienda (por nombre, ID o
+ * alias del perfil). Sin destinos se usan todas las ubicaciones activas. Devuelve `stock` ([{ location,
+ * available }]) y `failures` ([{ name, message }]) para las ubicaciones que no
+ * existen o están inactivas.
+ */
+export const resolveLocations = (targets, locations, aliases = {}) => {
+  if (!targets.length) {
+    return { stock: locations.filter((loc) => loc.isActive).map((location) => ({ location })), failures: [] };
+  }
+
+  const stock = [];
+  const failures = [];
+  for (const { name, available } of targets) {
+    const location = findLocation(locations, name, aliases);
+    if (!location) failures.push({ name, message: "location not found" });
+    else if (!location.isActive) failures.push({ name: location.name, message: "location is inactive" });
+    else stock.push({ location, available });
+  }
+  return { stock, failures };
+};
+
+/**
+ * Texto de la columna `locations` del reporte, ej:
+ * "Bodega Central: ok (10); Sucursal: error - location not found". En el
+ * reporte de plan (`planned`) las ubicaciones válidas van sin "ok".
+ */
+export const describeLocations = (results, { planned = false } = {}) =>
+  results
+    .map(({ name, available, message }) => {
+      if (message) return `${name}: error - ${message}`;
+      const quantity = available !== undefined ? ` (${available})` : "";
+      return planned ? `${name}${quantity}` : `${name}: ok${quantity}`;
+    })
+    .join("; ");
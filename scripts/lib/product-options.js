@@ -0,0 +1,92 @@
+// Opciones de variantes (option1/option2/option3) para el importador de productos
+export const MAX_OPTIONS = 3;
+
+// Valor que reciben las variantes existentes cuando se agrega una opción nueva al producto
+export const DEFAULT_OPTION_VALUE = "Default";
+
+// Opción oculta de los productos sin variantes: Shopify la crea como Title = "Default Title"
+export const DEFAULT_TITLE_VALUE = "Default Title";
+
+const DEFAULT_OPTIONS = [{ name: "Title", value: DEFAULT_TITLE_VALUE }];
+
+const key = (str) => String(str ?? "").trim().toLowerCase();
+
+export const sameOptionName = (a, b) => key(a) === key(b);
+
+export const sameOptionValues = (a, b) => a.length === b.length && a.every((value, i) => key(value) === key(b[i]));
+
+/**
+ * Lee las columnas optionN_name/optionN_value de una fila del CSV.
+ * Una fila sin opciones equivale a la opción oculta de Shopify (Title = Default Title).
+ */
+export const parseOptions = (row) => {
+  const options = [];
+  for (let n = 1; n <= MAX_OPTIONS; n++) {
+    const name = String(row[`option${n}_name`] ?? "").trim();
+    const value = String(row[`option${n}_value`] ?? "").trim();
+    if (!name && !value) continue;
+    options.push({ name: name || (n === 1 ? "Title" : `Option ${n}`), value: value || DEFAULT_OPTION_VALUE });
+  }
+  return options.length ? options : DEFAULT_OPTIONS;
+};
+
+// true si las opciones son solo la oculta de un producto sin variantes
+export const isDefaultOptions = (options) =>
+  options.length === 1 && options[0].name === "Title" && options[0].value === DEFAULT_TITLE_VALUE;
+
+// { option1: "red", option2: "M" } a partir de los valores por posición
+export const optionFields = (values) =>
+  values.reduce((acc, value, i) => ({ ...acc, [`option${i + 1}`]: value }), {});
+
+/**
+ * Verifica que todas las filas de un mismo handle usen los mismos nombres de
+ * opción, en el mismo orden que la primera fila. Recibe filas ya parseadas
+ * ({ handle, options, line? }) y devuelve un Map índice de fila -> mensaje de error.
+ */
+export const validateOptionNames = (rows) => {
+  const firstByHandle = new Map();
+  const errors = new Map();
+
+  rows.forEach((row, i) => {
+    const names = row.options.map((o) => o.name);
+    const first = firstByHandle.get(row.handle);
+    if (!first) {
+      firstByHandle.set(row.handle, { names, line: row.line ?? i + 2 });
+      return;
+    }
+    if (!sameOptionValues(first.names, names)) {
+      errors.set(
+        i,
+        `Option names (${names.join(", ")}) differ from line ${first.line} of handle "${row.handle}" (${first.names.join(", ")})`
+      );
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Alinea las opciones de una fila con las del producto existente.
+ *
+ * Devuelve los nombres finales (los del producto más los nuevos), los valores
+ * de la fila en ese orden y las opciones que habría que agregar al producto.
+ * Si el producto tiene una opción que la fila no trae, o el total supera
+ * MAX_OPTIONS, devuelve { error }.
+ */
+export const alignOptions = (productOptionNames, options) => {
+  const absent = productOptionNames.filter((name) => !options.some((o) => sameOptionName(o.name, name)));
+  if (absent.length) {
+    return { error: `Row has no value for product option(s): ${absent.join(", ")}` };
+  }
+
+  const missing = options
+    .filter((o) => !productOptionNames.some((name) => sameOptionName(name, o.name)))
+    .map((o) => o.name);
+  const names = [...productOptionNames, ...missing];
+  if (names.length > MAX_OPTIONS) {
+    return { error: `Products support up to ${MAX_OPTIONS} options (${names.join(", ")})` };
+  }
+
+  const values = names.map((name) => options.find((o) => sameOptionName(o.name, name)).value);
+  return { names, values, missing };
+};
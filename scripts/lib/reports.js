@@ -0,0 +1,26 @@
+import path from "path";
+
+// Nombres de los reportes, planes y exportaciones (timestamp en horario de Chile)
+
+const FORMATTER = new Intl.DateTimeFormat("es-CL", {
+  timeZone: "America/Santiago",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hourCycle: "h23",
+});
+
+// Formato: YYYY-MM-DD-HHMMSS
+export const getChileTimestamp = (now = new Date()) => {
+  const parts = Object.fromEntries(FORMATTER.formatToParts(now).map((p) => [p.type, p.value]));
+  return `${parts.year}-${parts.month}-${parts.day}-${parts.hour}${parts.minute}${parts.second}`;
+};
+
+// Ruta del reporte: la indicada o reports/<kind>[-<perfil>]-<timestamp>.csv (con perfil, uno por tienda)
+export const reportPathFor = (kind, reportPath, envProfile) =>
+  reportPath
+    ? path.resolve(reportPath)
+    : path.resolve(process.cwd(), "reports", `${kind}${envProfile ? `-${envProfile}` : ""}-${getChileTimestamp()}.csv`);
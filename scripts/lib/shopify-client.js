@@ -0,0 +1,220 @@
+import axios from "axios";
+import { createLogger } from "./logger.js";
+
+export const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 500;
+const DEFAULT_QUERY_COST = 50;
+
+// Balde con fuga ("leaky bucket") genérico: sirve tanto para el límite de
+// llamadas REST (1 punto por request) como para el presupuesto de costo GraphQL.
+const createBucket = (name, { capacity, restoreRate }, logger) => {
+  const bucket = { name, capacity, restoreRate, available: capacity, updatedAt: Date.now() };
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.available = Math.min(bucket.capacity, bucket.available + elapsed * bucket.restoreRate);
+    bucket.updatedAt = now;
+  };
+
+  // Reserva `cost` puntos, esperando lo necesario. Las reservas se encolan para
+  // que varias llamadas concurrentes no consuman el mismo presupuesto.
+  bucket.take = (cost) => {
+    const turn = queue.then(async () => {
+      refill();
+      const needed = Math.min(cost, bucket.capacity) - bucket.available;
+      if (needed > 0) {
+        const waitMs = Math.ceil((needed / bucket.restoreRate) * 1000);
+        logger.info(
+          `  ⏳ [${name}] throttle: ${Math.floor(bucket.available)}/${bucket.capacity} available, waiting ${waitMs}ms`
+        );
+        await sleep(waitMs);
+        refill();
+      }
+      bucket.available -= cost;
+    });
+    queue = turn.catch(() => {});
+    return turn;
+  };
+
+  // Sincroniza el estado estimado con lo que informa Shopify
+  bucket.sync = ({ available, capacity, restoreRate }) => {
+    if (capacity) bucket.capacity = capacity;
+    if (restoreRate) bucket.restoreRate = restoreRate;
+    bucket.available = Math.min(bucket.capacity, available);
+    bucket.updatedAt = Date.now();
+    logger.debug(
+      `  · [${name}] throttle: ${Math.floor(bucket.available)}/${bucket.capacity} available (restore ${bucket.restoreRate}/s)`
+    );
+  };
+
+  bucket.empty = () => {
+    bucket.available = 0;
+    bucket.updatedAt = Date.now();
+  };
+
+  return bucket;
+};
+
+// "32/40" -> { used: 32, max: 40 }
+const parseCallLimit = (header) => {
+  const match = /^(\d+)\/(\d+)$/.exec(String(header || "").trim());
+  return match ? { used: Number(match[1]), max: Number(match[2]) } : null;
+};
+
+const retryDelay = (err, attempt) => {
+  const retryAfter = parseFloat(err?.response?.headers?.["retry-after"]);
+  if (!isNaN(retryAfter)) return Math.ceil(retryAfter * 1000);
+  return BASE_BACKOFF_MS * 2 ** attempt + Math.floor(Math.random() * BASE_BACKOFF_MS);
+};
+
+const isRetryable = (err) => {
+  const status = err?.response?.status;
+  return status === 429 || (status >= 500 && status < 600);
+};
+
+// En los reintentos config.data ya viene serializado como string
+const queryOf = (data) => {
+  if (typeof data !== "string") return data?.query;
+  try {
+    return JSON.parse(data).query;
+  } catch {
+    return undefined;
+  }
+};
+
+const isThrottled = (data) =>
+  Array.isArray(data?.errors) && data.errors.some((e) => e?.extensions?.code === "THROTTLED");
+
+// Reintenta 429/5xx con backoff exponencial (o el Retry-After que indique Shopify)
+const attachRetry = (instance, bucket, logger, maxRetries) => {
+  instance.interceptors.response.use(undefined, async (err) => {
+    const config = err.config;
+    if (!config || !isRetryable(err)) throw err;
+
+    config.__retryCount = (config.__retryCount || 0) + 1;
+    if (config.__retryCount > maxRetries) throw err;
+
+    if (err.response.status === 429) bucket.empty();
+    const waitMs = retryDelay(err, config.__retryCount - 1);
+    logger.warn(
+      `  ↻ [${bucket.name}] HTTP ${err.response.status}, retry ${config.__retryCount}/${maxRetries} in ${waitMs}ms`
+    );
+    await sleep(waitMs);
+    return instance.request(config);
+  });
+};
+
+const createRestInstance = (baseURL, headers, timeout, logger, maxRetries) => {
+  const instance = axios.create({ baseURL, headers, timeout });
+  const bucket = createBucket("rest", { capacity: 40, restoreRate: 2 }, logger);
+
+  instance.interceptors.request.use(async (config) => {
+    await bucket.take(1);
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (response) => {
+      const limit = parseCallLimit(response.headers?.["x-shopify-shop-api-call-limit"]);
+      if (limit) bucket.sync({ available: limit.max - limit.used, capacity: limit.max });
+      return response;
+    },
+    (err) => {
+      const limit = parseCallLimit(err?.response?.headers?.["x-shopify-shop-api-call-limit"]);
+      if (limit) bucket.sync({ available: limit.max - limit.used, capacity: limit.max });
+      throw err;
+    }
+  );
+
+  attachRetry(instance, bucket, logger, maxRetries);
+  return { instance, bucket };
+};
+
+const createGraphqlInstance = (baseURL, headers, timeout, logger, maxRetries) => {
+  const instance = axios.create({ baseURL, headers, timeout });
+  const bucket = createBucket("graphql", { capacity: 1000, restoreRate: 50 }, logger);
+  // Último costo solicitado por cada query, para estimar la siguiente reserva
+  const costByQuery = new Map();
+
+  instance.interceptors.request.use(async (config) => {
+    const query = queryOf(config.data);
+    await bucket.take(costByQuery.get(query) ?? DEFAULT_QUERY_COST);
+    return config;
+  });
+
+  instance.interceptors.response.use(async (response) => {
+    const cost = response.data?.extensions?.cost;
+    const query = queryOf(response.config.data);
+
+    if (cost?.throttleStatus) {
+      const { currentlyAvailable, maximumAvailable, restoreRate } = cost.throttleStatus;
+      bucket.sync({ available: currentlyAvailable, capacity: maximumAvailable, restoreRate });
+    }
+    if (cost?.requestedQueryCost && query) costByQuery.set(query, cost.requestedQueryCost);
+
+    // Shopify responde 200 con errors[].extensions.code = THROTTLED cuando se agota el presupuesto
+    if (isThrottled(response.data)) {
+      const config = response.config;
+      config.__retryCount = (config.__retryCount || 0) + 1;
+      if (config.__retryCount > maxRetries) return response;
+
+      const requested = cost?.requestedQueryCost ?? costByQuery.get(query) ?? DEFAULT_QUERY_COST;
+      const missing = Math.max(requested - bucket.available, 0);
+      const waitMs = Math.ceil((missing / bucket.restoreRate) * 1000) || retryDelay(null, config.__retryCount - 1);
+      logger.warn(
+        `  ↻ [graphql] THROTTLED (cost ${requested}), retry ${config.__retryCount}/${maxRetries} in ${waitMs}ms`
+      );
+      await sleep(waitMs);
+      return instance.request(config);
+    }
+
+    return response;
+  });
+
+  attachRetry(instance, bucket, logger, maxRetries);
+  return { instance, bucket };
+};
+
+// Mensajes de `errors` de una respuesta GraphQL (null si no hay)
+export const graphqlErrors = (res) => (res.data.errors?.length ? res.data.errors.map((e) => e.message).join(", ") : null);
+
+/**
+ * Crea un cliente de la Admin API de Shopify con control de tasa adaptativo.
+ *
+ * Devuelve dos instancias de axios (`rest` y `graphql`) que comparten las
+ * mismas credenciales. Cada una lleva su propio balde: `rest` se sincroniza
+ * con el header X-Shopify-Shop-Api-Call-Limit y `graphql` con
+ * extensions.cost.throttleStatus. Ambas reintentan 429/5xx con backoff.
+ * `baseUrl` permite apuntar a otro host (ej: el mock local de los tests).
+ */
+export const createShopifyClient = ({
+  store,
+  token,
+  apiVersion,
+  baseUrl = `https://${store}`,
+  logger = createLogger(),
+  timeout = 20000,
+  maxRetries = MAX_RETRIES,
+}) => {
+  const restBaseUrl = `${baseUrl}/admin/api/${apiVersion}`;
+  const graphqlUrl = `${restBaseUrl}/graphql.json`;
+  const headers = {
+    "X-Shopify-Access-Token": token,
+    "Content-Type": "application/json",
+  };
+
+  const rest = createRestInstance(restBaseUrl, headers, timeout, logger, maxRetries);
+  const graphql = createGraphqlInstance(graphqlUrl, headers, timeout, logger, maxRetries);
+
+  return {
+    rest: rest.instance,
+    graphql: graphql.instance,
+    restBaseUrl,
+    graphqlUrl,
+    throttle: { rest: rest.bucket, graphql: graphql.bucket },
+  };
+};
@@ -0,0 +1,131 @@
+import { cell } from "./csv-file.js";
+
+// Conversión del CSV de exportación nativo de Shopify al formato del importador
+
+// Columna de Shopify -> columna del importador. Los campos de producto solo
+// vienen en la primera fila de cada handle; el resto se hereda.
+const PRODUCT_COLUMNS = {
+  Title: "title",
+  "Body (HTML)": "body_html",
+  Vendor: "vendor",
+  Type: "product_type",
+  Tags: "tags",
+  Status: "status",
+  "SEO Title": "seo_title",
+  "SEO Description": "seo_description",
+  "Option1 Name": "option1_name",
+  "Option2 Name": "option2_name",
+  "Option3 Name": "option3_name",
+};
+
+const VARIANT_COLUMNS = {
+  "Option1 Value": "option1_value",
+  "Option2 Value": "option2_value",
+  "Option3 Value": "option3_value",
+  "Variant SKU": "sku",
+  "Variant Price": "price",
+  "Variant Barcode": "barcode",
+  "Variant Compare At Price": "compare_at_price",
+  "Variant Taxable": "taxable",
+  "Variant Requires Shipping": "requires_shipping",
+};
+
+// El export trae el peso en gramos (Variant Grams) y la unidad en que se
+// muestra (Variant Weight Unit); el importador recibe el peso en esa unidad
+const GRAMS_PER_UNIT = { g: 1, kg: 1000, lb: 453.59237, oz: 28.349523125 };
+
+// "Material (product.metafields.custom.material)" o "product.metafields.custom.material"
+const SHOPIFY_METAFIELD_COLUMN = /(?:^|\()product\.metafields\.([\w-]+)\.([\w-]+)\)?$/;
+
+// Una fila es variante si trae algún dato de variante; si no, es solo de imagen
+const isVariantRow = (row) => Object.keys(VARIANT_COLUMNS).some((column) => cell(row, column));
+
+const weightFields = (row) => {
+  const grams = cell(row, "Variant Grams");
+  if (!grams || isNaN(Number(grams))) return {};
+  const exported = cell(row, "Variant Weight Unit").toLowerCase();
+  const unit = GRAMS_PER_UNIT[exported] ? exported : "g";
+  return { weight: String(Number((Number(grams) / GRAMS_PER_UNIT[unit]).toFixed(3))), weight_unit: unit };
+};
+
+// Columnas de metafields de producto -> metafield:namespace.key
+const metafieldColumns = (row) => {
+  const fields = {};
+  for (const column of Object.keys(row)) {
+    const match = SHOPIFY_METAFIELD_COLUMN.exec(column.trim());
+    if (match) fields[`metafield:${match[1]}.${match[2]}`] = cell(row, column);
+  }
+  return fields;
+};
+
+/**
+ * Detecta el formato de exportación de Shopify por sus encabezados
+ * (Handle + columnas Variant/Option con espacios y mayúsculas).
+ */
+export const isShopifyExport = (headers) =>
+  headers.includes("Handle") && ["Variant SKU", "Variant Price", "Option1 Value"].some((h) => headers.includes(h));
+
+/**
+ * Convierte filas del CSV nativo de Shopify en filas del importador
+ * (handle,title,body_html,price,sku,barcode,optionN_name,optionN_value,images,
+ * image_alt,image_position y las columnas de atributos: vendor, product_type,
+ * tags, status, seo_*, compare_at_price, weight, weight_unit, taxable,
+ * requires_shipping y metafield:namespace.key).
+ *
+ * - Las filas de continuación heredan los campos de producto (título,
+ *   descripción, vendor, tags, SEO, metafields, nombres de opción...) de la
+ *   primera fila del handle.
+ * - Variant Grams se convierte a la unidad de Variant Weight Unit.
+ * - Las filas que solo traen imagen (Image Src / Image Position / Image Alt
+ *   Text) se juntan, ordenadas por posición, en las columnas `images`,
+ *   `image_alt` e `image_position` de la primera variante.
+ * - Cada fila resultante conserva `_line`, la línea original del archivo.
+ */
+export const fromShopifyExport = (rows) => {
+  const products = new Map();
+  const result = [];
+
+  rows.forEach((row, i) => {
+    const handle = cell(row, "Handle");
+    if (!handle) return;
+
+    if (!products.has(handle)) {
+      const fields = {};
+      for (const [column, field] of Object.entries(PRODUCT_COLUMNS)) fields[field] = cell(row, column);
+      Object.assign(fields, metafieldColumns(row));
+      products.set(handle, { fields, images: [], firstVariant: null });
+    }
+    const product = products.get(handle);
+
+    const imageSrc = cell(row, "Image Src");
+    if (imageSrc) {
+      const position = parseInt(cell(row, "Image Position"), 10);
+      product.images.push({ src: imageSrc, alt: cell(row, "Image Alt Text"), position: isNaN(position) ? Infinity : position, order: i });
+    }
+
+    if (!isVariantRow(row)) return;
+
+    const mapped = { _line: i + 2, handle, ...product.fields };
+    for (const [column, field] of Object.entries(VARIANT_COLUMNS)) mapped[field] = cell(row, column);
+    Object.assign(mapped, weightFields(row));
+
+    const variantImage = cell(row, "Variant Image");
+    if (variantImage) product.images.push({ src: variantImage, alt: "", position: Infinity, order: i });
+
+    if (!product.firstVariant) product.firstVariant = mapped;
+    result.push(mapped);
+  });
+
+  for (const product of products.values()) {
+    if (!product.firstVariant) continue;
+    // Una imagen por src (la primera en orden de posición)
+    const images = product.images
+      .sort((a, b) => a.position - b.position || a.order - b.order)
+      .filter((image, i, all) => all.findIndex((other) => other.src === image.src) === i);
+    product.firstVariant.images = images.map((image) => image.src).join(";");
+    product.firstVariant.image_alt = images.map((image) => image.alt).join(";");
+    product.firstVariant.image_position = images.map((image) => (isFinite(image.position) ? image.position : "")).join(";");
+  }
+
+  return result;
+};
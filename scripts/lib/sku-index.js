@@ -0,0 +1,90 @@
+import { createLogger } from "./logger.js";
+import { graphqlErrors } from "./shopify-client.js";
+import { chunk } from "./worker-pool.js";
+
+const SKU_BATCH_SIZE = 50;
+
+const VARIANTS_BY_SKU_QUERY = `
+  query findVariantsBySku($query: String!, $after: String) {
+    productVariants(first: 100, query: $query, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        id
+        sku
+        product {
+          id
+        }
+        inventoryItem {
+          id
+        }
+      }
+    }
+  }
+`;
+
+// Escapa el valor para la sintaxis de búsqueda de Shopify: sku:"VALOR"
+const skuTerm = (sku) => `sku:"${sku.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+/**
+ * Índice SKU → variante/inventoryItem válido durante una ejecución.
+ *
+ * Resuelve los SKUs con `productVariants(query: "sku:...")` en lotes, de modo
+ * que un CSV de miles de filas hace una consulta cada SKU_BATCH_SIZE SKUs en
+ * lugar de descargar el catálogo por fila. También recuerda los SKUs que no
+ * existen para no volver a buscarlos.
+ */
+export const createSkuIndex = (graphqlInstance, { batchSize = SKU_BATCH_SIZE, logger = createLogger() } = {}) => {
+  // sku -> [{ sku, variantId, productId, inventoryItemId }] (vacío si no existe)
+  const index = new Map();
+
+  const fetchBatch = async (skus) => {
+    const query = skus.map(skuTerm).join(" OR ");
+    const batch = new Set(skus);
+    for (const sku of skus) index.set(sku, []);
+
+    let after = null;
+    do {
+      const res = await graphqlInstance.post("", { query: VARIANTS_BY_SKU_QUERY, variables: { query, after } });
+      const errors = graphqlErrors(res);
+      if (errors) throw new Error(`productVariants query failed: ${errors}`);
+
+      const { nodes, pageInfo } = res.data.data.productVariants;
+      for (const node of nodes) {
+        // La búsqueda de Shopify tokeniza el término; solo aceptamos coincidencias exactas
+        if (!batch.has(node.sku)) continue;
+        const matches = index.get(node.sku);
+        if (matches.some((m) => m.variantId === node.id)) continue;
+        matches.push({
+          sku: node.sku,
+          variantId: node.id,
+          productId: node.product?.id || null,
+          inventoryItemId: node.inventoryItem?.id || null,
+        });
+      }
+      after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+    } while (after);
+  };
+
+  // Carga en el índice todos los SKUs que aún no se han resuelto
+  const preload = async (skus) => {
+    const pending = [...new Set(skus.map((s) => String(s || "").trim()).filter(Boolean))].filter(
+      (sku) => !index.has(sku)
+    );
+    const batches = chunk(pending, batchSize);
+    for (let i = 0; i < batches.length; i++) {
+      logger.debug(`  → Resolving SKU batch ${i + 1}/${batches.length} (${batches[i].length} SKUs)`);
+      await fetchBatch(batches[i]);
+    }
+  };
+
+  // Devuelve todas las variantes con ese SKU exacto ([] si no existe)
+  const lookup = async (sku) => {
+    if (!index.has(sku)) await fetchBatch([sku]);
+    return index.get(sku);
+  };
+
+  return { preload, lookup, size: () => index.size };
+};
@@ -0,0 +1,65 @@
+// Pool de workers con concurrencia acotada. Las tareas que comparten una clave
+// (handle, SKU, par item/ubicación...) corren una después de otra en orden de
+// entrada; el resto en paralelo hasta `concurrency`. Todas usan el mismo
+// cliente, así que comparten el presupuesto de throttle (ver lib/shopify-client.js).
+
+export const DEFAULT_CONCURRENCY = 4;
+export const MAX_CONCURRENCY = 16;
+
+// Divide `items` en lotes de `size` (ej: filas por mutación, SKUs por consulta)
+export const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+/**
+ * Ejecuta `worker(item, index)` para cada item y devuelve los resultados en el
+ * orden de entrada. `keysOf(item)` da las claves que serializan el item con
+ * los anteriores que comparten alguna. Ante el primer error no se inician más
+ * tareas: se espera a las que están en curso y se relanza el error.
+ */
+export const runPool = async (items, worker, { concurrency = DEFAULT_CONCURRENCY, keysOf = () => [] } = {}) => {
+  const limit = Math.max(1, Math.min(concurrency, MAX_CONCURRENCY));
+  const results = new Array(items.length);
+  // Última tarea encolada por clave
+  const last = new Map();
+  const waiting = [];
+  let running = 0;
+  let failure = null;
+
+  // Un slot se ocupa solo mientras la tarea corre, no mientras espera a las de su clave
+  const acquire = () => {
+    if (running < limit) {
+      running++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => waiting.push(resolve));
+  };
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else running--;
+  };
+
+  const tasks = items.map((item, index) => {
+    const keys = [...new Set(keysOf(item).filter(Boolean))];
+    const previous = keys.map((key) => last.get(key)).filter(Boolean);
+    const task = Promise.all(previous).then(async () => {
+      await acquire();
+      try {
+        if (!failure) results[index] = await worker(item, index);
+      } catch (err) {
+        failure ??= { err };
+      } finally {
+        release();
+      }
+    });
+    keys.forEach((key) => last.set(key, task));
+    return task;
+  });
+
+  await Promise.all(tasks);
+  if (failure) throw failure.err;
+  return results;
+};
@@ -1,195 +1,509 @@
 import fs from "fs";
 import path from "path";
-import csv from "csv-parser";
-import axios from "axios";
+import { pathToFileURL } from "url";
 import { createObjectCsvWriter } from "csv-writer";
-import dotenv from "dotenv";
+import { createShopifyClient } from "./lib/shopify-client.js";
+import { loadConfig } from "./lib/config.js";
+import { createLogger } from "./lib/logger.js";
+import { readCsv } from "./lib/csv-file.js";
+import { reportPathFor } from "./lib/reports.js";
+import {
+  DEFAULT_OPTION_VALUE,
+  DEFAULT_TITLE_VALUE,
+  alignOptions,
+  isDefaultOptions,
+  optionFields,
+  parseOptions,
+  sameOptionValues,
+  validateOptionNames,
+} from "./lib/product-options.js";
+import { fromShopifyExport, isShopifyExport } from "./lib/shopify-csv.js";
+import { openJournal } from "./lib/journal.js";
+import {
+  addProductImage,
+  checkImages,
+  moveImage,
+  parseImages,
+  saveImageSources,
+  updateImageAlt,
+  uploadLocalImage,
+} from "./lib/product-images.js";
+import { normalizeTags, parseAttributes, parseNumber } from "./lib/product-attributes.js";
+import { getLocations } from "./lib/locations.js";
+import { describeLocations, parseLocationList, resolveLocations } from "./lib/product-locations.js";
+import { enforceValidation, validateProductRows } from "./lib/csv-validation.js";
+import { DEFAULT_CONCURRENCY, runPool } from "./lib/worker-pool.js";
+import {
+  activateInventory,
+  addProductOptions,
+  createProduct,
+  createVariant,
+  findProductByHandle,
+  getInventoryLevels,
+  numericId,
+  setAvailableQuantity,
+  updateProduct,
+  updateVariant,
+} from "./lib/product-api.js";
 
-dotenv.config();
-
-const STORE = process.env.SHOPIFY_STORE;
-const TOKEN = process.env.SHOPIFY_TOKEN;
-const API_VERSION = process.env.SHOPIFY_API_VERSION || "2024-10";
-
-if (!STORE || !TOKEN) {
-  console.error("Missing SHOPIFY_STORE or SHOPIFY_TOKEN in .env");
-  process.exit(1);
-}
-
-const BASE_URL = `https://${STORE}/admin/api/${API_VERSION}`;
-
-const axiosInstance = axios.create({
-  baseURL: BASE_URL,
-  headers: {
-    "X-Shopify-Access-Token": TOKEN,
-    "Content-Type": "application/json",
-  },
-  timeout: 20000,
-});
-
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
-// Obtener todas las ubicaciones activas
-const getLocations = async () => {
+// Ubicaciones de la tienda (incluidas las inactivas, para informarlas por fila), con id numérico
+// como el resto de los ids del importador
+const loadLocations = async (api, logger) => {
   try {
-    const res = await axiosInstance.get("/locations.json");
-    return res.data.locations.filter(loc => loc.active);
+    const locations = await getLocations(api);
+    return locations.map((loc) => ({ id: numericId(loc.id), name: loc.name, isActive: loc.isActive }));
   } catch (err) {
-    console.error("Error getting locations:", err.message);
+    logger.error("Error getting locations:", err.message);
     return [];
   }
 };
 
-// Configurar niveles de inventario para una variante en todas las ubicaciones
-const setInventoryLevels = async (inventoryItemId, locations) => {
+/**
+ * Deja el inventory item de una variante activo en cada ubicación de `stock`,
+ * con su cantidad si la trae. Las ubicaciones nuevas se activan con la
+ * cantidad inicial; en las ya activas se fija con inventorySetQuantities
+ * comparando con la cantidad leída. Una falla no detiene al resto: devuelve
+ * el resultado por ubicación ([{ name, available, message? }]) para el reporte.
+ */
+const setInventoryLevels = async (api, logger, inventoryItemId, stock) => {
+  let levels;
   try {
-    for (const location of locations) {
-      // Conectar el inventory item a la ubicación si no está conectado
-      await axiosInstance.post("/inventory_levels/connect.json", {
-        location_id: location.id,
-        inventory_item_id: inventoryItemId
-      });
-      await sleep(300);
-    }
+    levels = await getInventoryLevels(api, inventoryItemId);
   } catch (err) {
-    // Si ya está conectado, ignorar el error
-    if (!err?.response?.data?.errors?.base?.includes("already exists")) {
-      console.error("Error setting inventory levels:", err?.response?.data || err.message);
+    logger.error(`Error reading inventory of item ${inventoryItemId}:`, err.message);
+    return stock.map(({ location, available }) => ({ name: location.name, available, message: err.message }));
+  }
+
+  const results = [];
+  for (const { location, available } of stock) {
+    try {
+      const current = levels.get(location.id);
+      if (current === undefined) {
+        await activateInventory(api, inventoryItemId, location.id, available);
+      } else if (available !== undefined && available !== current) {
+        await setAvailableQuantity(api, inventoryItemId, location.id, available, current);
+      }
+      results.push({ name: location.name, available });
+    } catch (err) {
+      logger.error(`Error setting inventory at ${location.name}:`, err.message);
+      results.push({ name: location.name, available, message: err.message });
     }
   }
+  return results;
 };
 
-const readCsv = (filePath) =>
-  new Promise((resolve, reject) => {
-    const rows = [];
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on("data", (data) => rows.push(data))
-      .on("end", () => resolve(rows))
-      .on("error", (err) => reject(err));
-  });
+// Valores de opción de una variante por posición (option1..optionN)
+const variantValues = (variant, count) => [variant.option1, variant.option2, variant.option3].slice(0, count);
+
+// Producto sin variantes: solo la opción oculta Title = Default Title
+const hasDefaultOptionOnly = (product) =>
+  (product.options || []).map((o) => o.name).join() === "Title" &&
+  (product.variants || []).every((v) => v.option1 === DEFAULT_TITLE_VALUE);
 
-const findProductByHandle = async (handle) => {
-  const url = `/products.json?handle=${encodeURIComponent(handle)}`;
-  const res = await axiosInstance.get(url);
-  return res.data.products && res.data.products.length ? res.data.products[0] : null;
+/**
+ * Aplica el plan de imágenes de una fila: actualiza alt/posición de las que
+ * ya existen, sube las nuevas (los archivos locales vía staged upload) y
+ * guarda en el metafield del producto la clave de origen de cada una, para
+ * reconocerlas en la próxima importación aunque Shopify haya cambiado su src.
+ */
+const ensureImages = async (api, logger, productId, imagePlan, previousSources = {}) => {
+  const sources = { ...previousSources };
+
+  for (const { check, existing, updates } of imagePlan.matched) {
+    if (updates.alt) await updateImageAlt(api, productId, existing.id, updates.alt);
+    if (updates.position) await moveImage(api, productId, existing.id, updates.position);
+    sources[check.key] = existing.id;
+  }
+
+  for (const { image, check } of imagePlan.add) {
+    logger.debug(`  → Adding image ${image.source}`);
+    const src = check.kind === "local" ? await uploadLocalImage(api, check) : image.source;
+    const mediaId = await addProductImage(api, productId, { src, alt: image.alt });
+    if (image.position) await moveImage(api, productId, mediaId, image.position);
+    sources[check.key] = mediaId;
+  }
+
+  const changed = Object.keys(sources).some((key) => sources[key] !== previousSources[key]);
+  if (changed) await saveImageSources(api, productId, sources);
 };
 
-const createProduct = async (payload) => {
-  const res = await axiosInstance.post("/products.json", { product: payload });
-  return res.data.product;
+const normalize = (str) => (str ? String(str).trim() : "");
+
+// "9,5" -> "9.5"; un precio que no es número se deja tal cual y planRow lo rechaza
+const parsePrice = (value) => {
+  const number = parseNumber(value);
+  return number === null ? value : String(number);
 };
 
-const updateProduct = async (productId, payload) => {
-  const res = await axiosInstance.put(`/products/${productId}.json`, { product: payload });
-  return res.data.product;
+const parseRow = (row) => {
+  const handle = normalize(row.handle).toLowerCase();
+  return {
+    line: row._line,
+    handle,
+    title: normalize(row.title),
+    body_html: normalize(row.body_html) || "",
+    price: parsePrice(normalize(row.price) || "0"),
+    sku: normalize(row.sku),
+    barcode: normalize(row.barcode) || "",
+    options: parseOptions(row),
+    images: parseImages(row),
+    attributes: parseAttributes(row),
+    locations: parseLocationList(row.locations),
+  };
 };
 
-const updateVariant = async (variantId, payload) => {
-  const res = await axiosInstance.put(`/variants/${variantId}.json`, { variant: payload });
-  return res.data.variant;
+const describe = (value) => (value === undefined || value === null || value === "" ? "(empty)" : String(value));
+const change = (field, from, to) => `${field}: ${describe(from)} → ${describe(to)}`;
+const describeOptions = (names, values) => names.map((name, i) => `${name}=${values[i]}`).join(" / ");
+
+// Shopify devuelve el precio como "19990.00"; se compara numéricamente
+const samePrice = (a, b) => parseNumber(String(a || 0)) === parseNumber(String(b || 0));
+
+// Imagen del producto que corresponde a una del CSV: por la clave guardada en
+// el metafield o, si la imagen es anterior al metafield, por src. Las claves
+// guardadas por el importador REST apuntan al id de la imagen, no al del media.
+const findImage = (product, image, check) => {
+  const images = product.images || [];
+  const id = product.imageSources?.[check.key];
+  return images.find((i) => id && (i.id === id || i.image_id === id)) || images.find((i) => i.src === image.source) || null;
 };
 
-const createVariant = async (productId, payload) => {
-  const res = await axiosInstance.post(`/products/${productId}/variants.json`, { variant: payload });
-  return res.data.variant;
+// Alt y posición a cambiar en una imagen existente (solo si la fila los indica)
+const imageUpdates = (existing, image) => {
+  const updates = {};
+  if (image.alt && (existing.alt || "") !== image.alt) updates.alt = image.alt;
+  if (image.position && existing.position !== image.position) updates.position = image.position;
+  return updates;
 };
 
-const addImageToProduct = async (productId, imagePayload) => {
-  const res = await axiosInstance.post(`/products/${productId}/images.json`, { image: imagePayload });
-  return res.data.image;
+/**
+ * Separa las imágenes de la fila en nuevas (add), ya presentes en el producto
+ * (matched, con el alt/posición a actualizar) y descartadas por la validación
+ * previa (skipped, con el motivo).
+ */
+const planImages = (product, images, imageChecks) => {
+  const plan = { add: [], matched: [], skipped: [] };
+  for (const image of images) {
+    const check = imageChecks.get(image.source);
+    if (!check?.ok) {
+      plan.skipped.push({ image, reason: check?.reason || "not checked" });
+      continue;
+    }
+    const existing = product ? findImage(product, image, check) : null;
+    if (existing) plan.matched.push({ image, check, existing, updates: imageUpdates(existing, image) });
+    else plan.add.push({ image, check });
+  }
+  return plan;
 };
 
-const ensureImages = async (product, imageUrls) => {
-  const existingSrc = (product.images || []).map((i) => i.src);
-  for (const src of imageUrls) {
-    if (!existingSrc.includes(src)) {
-      await addImageToProduct(product.id, { src });
-      await sleep(300);
+const imageChanges = (imagePlan) => [
+  ...imagePlan.add.map(({ image }) => `images: + ${image.source}`),
+  ...imagePlan.matched
+    .filter(({ updates }) => Object.keys(updates).length)
+    .map(({ image, updates }) => `images: ~ ${image.source} (${Object.keys(updates).join(", ")})`),
+];
+
+// Las imágenes descartadas no hacen fallar la fila; se informan en el mensaje
+const withSkippedImages = (message, imagePlan) =>
+  imagePlan.skipped.length
+    ? `${message}; skipped image(s): ${imagePlan.skipped.map(({ image, reason }) => `${image.source} (${reason})`).join(", ")}`
+    : message;
+
+// Producto sin SEO ni metafields cargados (producto nuevo)
+const EMPTY_DETAILS = { seo: {}, metafields: {} };
+
+/**
+ * Campos de producto a actualizar: título, atributos (vendor,
+ * product_type, tags, status, body_html), SEO y metafields. Solo incluye los
+ * que difieren del producto actual (todos, si el producto es nuevo). Un
+ * producto nuevo sin título usa el handle; en uno existente un título vacío
+ * no lo modifica.
+ */
+const planProductAttributes = (product, { handle, title, attributes }) => {
+  const details = product?.details || EMPTY_DETAILS;
+  const update = {};
+  const seo = {};
+  const changes = [];
+
+  const newTitle = product ? title : title || handle;
+  if (newTitle && product?.title !== newTitle) {
+    update.title = newTitle;
+    changes.push(change("title", product?.title, newTitle));
+  }
+  for (const [field, value] of Object.entries(attributes.product)) {
+    const current = field === "tags" ? normalizeTags(product?.tags).join(", ") : product?.[field];
+    if ((current || "") === value) continue;
+    update[field] = value;
+    changes.push(change(field, current, value));
+  }
+  for (const [field, value] of Object.entries(attributes.seo)) {
+    if ((details.seo[field] || "") === value) continue;
+    seo[field] = value;
+    changes.push(change(`seo_${field}`, details.seo[field], value));
+  }
+  const metafields = attributes.metafields.filter((m) => details.metafields[`${m.namespace}.${m.key}`] !== m.value);
+  metafields.forEach((m) => changes.push(change(`${m.namespace}.${m.key}`, details.metafields[`${m.namespace}.${m.key}`], m.value)));
+
+  return { update, seo, metafields, changes };
+};
+
+// Atributos de variante (compare_at_price, weight, weight_unit, taxable, requires_shipping) que difieren
+const planVariantAttributes = (variant, { attributes }) => {
+  const update = {};
+  const changes = [];
+
+  for (const [field, value] of Object.entries(attributes.variant)) {
+    const current = variant?.[field];
+    const same =
+      typeof value === "number" ? current !== null && current !== undefined && Number(current) === value : current === value;
+    if (same) continue;
+    update[field] = value;
+    changes.push(change(field, current, value));
+  }
+
+  return { update, changes };
+};
+
+/**
+ * Decide qué hacer con una fila frente al catálogo actual, sin escribir nada.
+ * Devuelve la acción (create_product / create_variant / update_variant /
+ * no_change), la variante encontrada (por SKU o por combinación de opciones),
+ * las opciones alineadas con el producto, los atributos de producto y de
+ * variante a escribir, el plan de imágenes y el diff por campo que se
+ * aplicaría. Lanza un error si las opciones de la fila no son compatibles con
+ * el producto o si algún atributo es inválido.
+ */
+const planRow = (fields, product, imageChecks) => {
+  const { price, sku, barcode, options, attributes } = fields;
+  const priceNumber = parseNumber(price);
+  if (priceNumber === null || priceNumber < 0) throw new Error(`Invalid price "${price}"`);
+  if (attributes.errors.length) throw new Error(attributes.errors.join("; "));
+  if (fields.locations.errors.length) throw new Error(fields.locations.errors.join("; "));
+
+  const images = planImages(product, fields.images, imageChecks);
+  const productAttributes = planProductAttributes(product, fields);
+
+  if (!product) {
+    const names = options.map((o) => o.name);
+    const values = options.map((o) => o.value);
+    const variantAttributes = planVariantAttributes(null, fields);
+    const changes = [
+      ...productAttributes.changes,
+      change("options", null, describeOptions(names, values)),
+      change("price", null, price),
+    ];
+    if (barcode) changes.push(change("barcode", null, barcode));
+    changes.push(...variantAttributes.changes, ...imageChanges(images));
+    const aligned = { names, values, missing: [] };
+    return { action: "create_product", matchedVariant: null, aligned, productAttributes, variantAttributes, images, changes };
+  }
+
+  // Si la fila trae opciones y el producto no tiene variantes, las opciones de la fila reemplazan a la oculta
+  const replacesDefault = !isDefaultOptions(options) && hasDefaultOptionOnly(product);
+  const aligned = alignOptions(replacesDefault ? [] : (product.options || []).map((o) => o.name), options);
+  if (aligned.error) throw new Error(aligned.error);
+  aligned.replacesDefault = replacesDefault;
+
+  const changes = [...productAttributes.changes];
+  aligned.missing.forEach((name) => changes.push(`options: + ${name}`));
+
+  const variants = product.variants || [];
+  const count = aligned.names.length;
+  // Tras reemplazar la opción oculta, las variantes actuales quedan con DEFAULT_OPTION_VALUE
+  const currentValuesOf = (v) => (replacesDefault ? aligned.names.map(() => DEFAULT_OPTION_VALUE) : variantValues(v, count));
+  const byOptions = variants.find((v) => sameOptionValues(currentValuesOf(v), aligned.values)) || null;
+  const bySku = variants.find((v) => v.sku && v.sku === sku) || null;
+  const matchedVariant = bySku || byOptions;
+
+  if (matchedVariant) {
+    const currentValues = currentValuesOf(matchedVariant);
+    if (!sameOptionValues(currentValues, aligned.values)) {
+      if (byOptions && byOptions !== matchedVariant) {
+        throw new Error(
+          `Option combination ${describeOptions(aligned.names, aligned.values)} already belongs to variant ${byOptions.id}`
+        );
+      }
+      changes.push(change("options", describeOptions(aligned.names, currentValues), describeOptions(aligned.names, aligned.values)));
     }
+    if ((matchedVariant.sku || "") !== sku) changes.push(change("sku", matchedVariant.sku, sku));
+    if (!samePrice(matchedVariant.price, price)) changes.push(change("price", matchedVariant.price, price));
+    if ((matchedVariant.barcode || "") !== barcode) changes.push(change("barcode", matchedVariant.barcode, barcode));
+  } else {
+    changes.push(change("options", null, describeOptions(aligned.names, aligned.values)));
+    changes.push(change("price", null, price));
+    if (barcode) changes.push(change("barcode", null, barcode));
   }
+  const variantAttributes = planVariantAttributes(matchedVariant, fields);
+  changes.push(...variantAttributes.changes, ...imageChanges(images));
+
+  const action = !matchedVariant ? "create_variant" : changes.length ? "update_variant" : "no_change";
+  return { action, matchedVariant, aligned, productAttributes, variantAttributes, images, changes };
 };
 
-const normalize = (str) => (str ? String(str).trim() : "");
+// En modo plan no se crea nada, así que se simula el resultado para que las
+// filas siguientes del mismo handle se planifiquen contra el estado esperado.
+const simulatePlan = (fields, product, plan) => {
+  const { handle, price, sku, barcode } = fields;
+  const { names, values } = plan.aligned;
+  const fill = (v) =>
+    optionFields(names.map((_, i) => (plan.aligned.replacesDefault ? null : variantValues(v, names.length)[i]) || DEFAULT_OPTION_VALUE));
 
-const processRow = async (row, locations) => {
-  const handle = normalize(row.handle).toLowerCase();
-  const title = normalize(row.title) || handle;
-  const body_html = normalize(row.body_html) || "";
-  const price = normalize(row.price) || "0";
-  const sku = normalize(row.sku);
-  const barcode = normalize(row.barcode) || "";
-  const option1_name = normalize(row.option1_name) || "Title";
-  const option1_value = normalize(row.option1_value) || "Default";
-  const imagesRaw = normalize(row.images) || "";
-  const imageUrls = imagesRaw ? imagesRaw.split(";").map((s) => s.trim()).filter(Boolean) : [];
+  const { update, seo, metafields } = plan.productAttributes;
+  const details = product?.details || EMPTY_DETAILS;
+
+  const next = product
+    ? {
+        ...product,
+        variants: (product.variants || []).map((v) => ({ ...v, ...fill(v) })),
+        images: (product.images || []).map((i) => ({ ...i })),
+      }
+    : { id: null, handle, variants: [], images: [], imageSources: {} };
+  Object.assign(next, update);
+  next.options = names.map((name) => ({ name }));
+  next.details = {
+    seo: { ...details.seo, ...seo },
+    metafields: { ...details.metafields, ...Object.fromEntries(metafields.map((m) => [`${m.namespace}.${m.key}`, m.value])) },
+  };
+
+  const variant = {
+    sku,
+    price,
+    barcode,
+    ...optionFields(values),
+    ...plan.variantAttributes.update,
+  };
+  const matchedIndex = product && plan.matchedVariant ? product.variants.indexOf(plan.matchedVariant) : -1;
+  if (matchedIndex >= 0) {
+    next.variants[matchedIndex] = { ...next.variants[matchedIndex], ...variant };
+  } else {
+    next.variants.push({ id: null, ...variant });
+  }
+  for (const { check, existing, updates } of plan.images.matched) {
+    Object.assign(next.images[product.images.indexOf(existing)], updates);
+    next.imageSources = { ...next.imageSources, [check.key]: existing.id };
+  }
+  plan.images.add.forEach(({ image }) => next.images.push({ id: null, src: image.source, alt: image.alt, position: image.position }));
+  return next;
+};
+
+const processRow = async (row, { api, logger, locations, aliases, defaultLocations, dryRun, planned, imageChecks }) => {
+  const fields = parseRow(row);
+  const { handle, body_html, price, sku, barcode } = fields;
 
   try {
-    const existingProduct = await findProductByHandle(handle);
+    // Variantes, imágenes, SEO y metafields llegan en una sola consulta
+    const existingProduct = planned.has(handle) ? planned.get(handle) : await findProductByHandle(api, handle);
+    const plan = planRow(fields, existingProduct, imageChecks);
+
+    // Ubicaciones de la fila, las de la configuración o todas las activas
+    const { stock, failures } = resolveLocations(
+      fields.locations.targets.length ? fields.locations.targets : defaultLocations,
+      locations,
+      aliases
+    );
+
+    if (dryRun) {
+      planned.set(handle, simulatePlan(fields, existingProduct, plan));
+      const target = plan.matchedVariant ? `variant ${plan.matchedVariant.id}` : existingProduct?.id ? `product ${existingProduct.id}` : "new product";
+      const planLocations = [...stock.map(({ location, available }) => ({ name: location.name, available })), ...failures];
+      return {
+        handle,
+        sku,
+        result: plan.action,
+        changes: plan.changes.join("; "),
+        locations: describeLocations(planLocations, { planned: true }),
+        message: withSkippedImages(target, plan.images),
+      };
+    }
+
+    // Resultado por ubicación para el reporte; las que no existen fallan sin intentar conectarlas
+    const stockVariant = async (variant) => {
+      const results = variant.inventory_item_id ? await setInventoryLevels(api, logger, variant.inventory_item_id, stock) : [];
+      return [...results, ...failures];
+    };
+    const withLocations = (entry, results) => ({
+      ...entry,
+      locations: describeLocations(results),
+      locationErrors: results.filter((r) => r.message).length,
+    });
+
+    const { names, values, missing } = plan.aligned;
+    const { update, seo, metafields } = plan.productAttributes;
+
     if (existingProduct) {
-      const variants = existingProduct.variants || [];
-      const matchedVariant = variants.find((v) => v.sku && v.sku === sku);
+      let product = existingProduct;
+
+      // Campos de producto (título, vendor, tags, SEO, metafields, ...): se actualizan una vez si cambiaron
+      if (Object.keys(update).length || Object.keys(seo).length || metafields.length) {
+        await updateProduct(api, product.id, update, { seo, metafields });
+      }
+
+      // Opciones nuevas (ej: la fila trae Size y el producto solo Color)
+      if (missing.length) {
+        logger.debug(`  → Adding option(s) ${missing.join(", ")} to product ${product.id}`);
+        product = await addProductOptions(api, product, missing);
+      }
+
+      const matchedVariant = plan.matchedVariant;
       if (matchedVariant) {
-        const variantPayload = { id: matchedVariant.id, price, sku, barcode };
-        const updatedVariant = await updateVariant(matchedVariant.id, variantPayload);
-        
-        // Asociar a todas las ubicaciones
-        if (updatedVariant.inventory_item_id) {
-          await setInventoryLevels(updatedVariant.inventory_item_id, locations);
+        const variantPayload = { id: matchedVariant.id, price, sku, barcode, ...plan.variantAttributes.update };
+        if (!sameOptionValues(variantValues(matchedVariant, names.length), values)) {
+          Object.assign(variantPayload, optionFields(values));
         }
+        const updatedVariant = await updateVariant(api, product, variantPayload, matchedVariant);
         
-        if (imageUrls.length) await ensureImages(existingProduct, imageUrls);
-        return { handle, sku, result: "updated_variant", message: `variant ${matchedVariant.id} updated & associated to locations` };
+        // Asociar a sus ubicaciones
+        const stocked = await stockVariant(updatedVariant);
+        
+        await ensureImages(api, logger, product.id, plan.images, existingProduct.imageSources);
+        const message = `variant ${matchedVariant.id} updated & associated to locations`;
+        return withLocations({ handle, sku, result: "updated_variant", message: withSkippedImages(message, plan.images) }, stocked);
       } else {
         const newVariantPayload = { 
-          option1: option1_value, 
+          ...optionFields(values),
           price, 
           sku, 
           barcode, 
-          inventory_management: "shopify" 
+          ...plan.variantAttributes.update,
+          tracked: true 
         };
-        const newVariant = await createVariant(existingProduct.id, newVariantPayload);
+        const newVariant = await createVariant(api, product, newVariantPayload);
         
-        // Asociar a todas las ubicaciones
-        if (newVariant.inventory_item_id) {
-          await setInventoryLevels(newVariant.inventory_item_id, locations);
-        }
+        // Asociar a sus ubicaciones
+        const stocked = await stockVariant(newVariant);
         
-        if (imageUrls.length) await ensureImages(existingProduct, imageUrls);
-        return { handle, sku, result: "created_variant", message: `variant ${newVariant.id} created & associated to locations` };
+        await ensureImages(api, logger, product.id, plan.images, existingProduct.imageSources);
+        const message = `variant ${newVariant.id} created & associated to locations`;
+        return withLocations({ handle, sku, result: "created_variant", message: withSkippedImages(message, plan.images) }, stocked);
       }
     } else {
-      const productPayload = {
-        title,
-        body_html,
-        handle,
-        variants: [{ 
-          option1: option1_value, 
-          price, 
-          sku, 
-          barcode, 
-          inventory_management: "shopify" 
-        }],
-        images: imageUrls.map((src) => ({ src })),
-      };
-      const newProduct = await createProduct(productPayload);
+      const newProduct = await createProduct(api, { body_html, ...update, handle }, {
+        seo,
+        metafields,
+        options: names.map((name, i) => ({ name, value: values[i] })),
+      });
+
+      // Shopify crea la variante con los valores de opción; se completa con precio, SKU, etc.
+      const [standalone] = newProduct.variants;
+      const variant = await updateVariant(
+        api,
+        newProduct,
+        { id: standalone.id, price, sku, barcode, ...plan.variantAttributes.update, tracked: true },
+        standalone
+      );
       
-      // Asociar variantes a todas las ubicaciones
-      if (newProduct.variants && newProduct.variants.length > 0) {
-        for (const variant of newProduct.variants) {
-          if (variant.inventory_item_id) {
-            await setInventoryLevels(variant.inventory_item_id, locations);
-          }
-        }
-      }
+      // Asociar la variante a sus ubicaciones
+      const stocked = await stockVariant(variant);
+
+      // Las imágenes se suben aparte para registrar su clave de origen
+      await ensureImages(api, logger, newProduct.id, plan.images);
       
-      return { handle, sku, result: "created_product", message: `product ${newProduct.id} created & associated to locations` };
+      const message = `product ${newProduct.id} created & associated to locations`;
+      return withLocations({ handle, sku, result: "created_product", message: withSkippedImages(message, plan.images) }, stocked);
     }
   } catch (err) {
     const errMsg = err?.response?.data || err.message || String(err);
     return { handle, sku, result: "error", message: JSON.stringify(errMsg) };
-  } finally {
-    await sleep(500);
   }
 };
 
@@ -201,88 +515,200 @@ const writeReport = async (rows, outPath) => {
       { id: "sku", title: "sku" },
       { id: "result", title: "result" },
       { id: "message", title: "message" },
+      { id: "locations", title: "locations" },
     ],
   });
   await csvWriter.writeRecords(rows);
 };
 
-// Función para generar timestamp en horario de Chile
-function getChileTimestamp() {
-  const now = new Date();
-  const options = {
-    timeZone: 'America/Santiago',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
+// Reporte del modo plan: una línea por fila del CSV con su acción y diff
+const writePlanReport = async (rows, outPath) => {
+  const csvWriter = createObjectCsvWriter({
+    path: outPath,
+    header: [
+      { id: "line", title: "line" },
+      { id: "handle", title: "handle" },
+      { id: "sku", title: "sku" },
+      { id: "result", title: "action" },
+      { id: "changes", title: "changes" },
+      { id: "message", title: "message" },
+      { id: "locations", title: "locations" },
+    ],
+  });
+  await csvWriter.writeRecords(rows);
+};
+
+/**
+ * Importa productos desde un CSV y escribe el reporte de resultados.
+ *
+ * Opciones: file (CSV de entrada), report (ruta del reporte), envProfile,
+ * apiVersion, dryRun, resume, force, concurrency, journalDir y logger. Lanza
+ * un error ante problemas fatales (credenciales, CSV inexistente, sin
+ * ubicaciones); los errores por fila quedan en el reporte y en
+ * `summary.errors`. El comportamiento se describe en el README ("Importador
+ * Masivo de Productos", "Modo plan", "Reanudar una ejecución").
+ */
+export const run = async ({
+  file = path.resolve(process.cwd(), "examples", "products.csv"),
+  report: reportPath,
+  envProfile,
+  apiVersion,
+  dryRun = false,
+  resume = false,
+  force = false,
+  concurrency = DEFAULT_CONCURRENCY,
+  journalDir,
+  logger = createLogger(),
+} = {}) => {
+  const config = loadConfig({ envProfile, apiVersion });
+  // Cliente GraphQL con control de tasa según el costo de cada consulta
+  const api = createShopifyClient({ ...config, logger });
+
+  // Obtener ubicaciones (las inactivas solo para informarlas si una fila las pide)
+  logger.info("Fetching active locations...");
+  const locations = await loadLocations(api, logger);
+  const active = locations.filter((loc) => loc.isActive);
+  
+  if (active.length === 0) {
+    throw new Error("No active locations found in your Shopify store!");
+  }
+  
+  logger.info(`Found ${active.length} active location(s):`);
+  active.forEach(loc => logger.info(`  - ${loc.name} (ID: ${loc.id})`));
+  logger.info("");
+
+  // Ubicaciones por defecto de la configuración; sin ellas, todas las activas
+  const defaultLocations = parseLocationList(config.defaultLocations);
+  if (defaultLocations.errors.length) {
+    throw new Error(`Invalid SHOPIFY_DEFAULT_LOCATIONS: ${defaultLocations.errors.join("; ")}`);
+  }
+  if (defaultLocations.targets.length) {
+    logger.info(`Default locations: ${defaultLocations.targets.map((t) => t.name).join(", ")}\n`);
+  }
+  
+  const csvPath = path.resolve(file);
+  if (!fs.existsSync(csvPath)) {
+    throw new Error(`CSV file not found: ${csvPath}`);
+  }
+  
+  const rawRows = await readCsv(csvPath);
+  const shopifyFormat = isShopifyExport(Object.keys(rawRows[0] || {}));
+  if (shopifyFormat) logger.info("Detected Shopify product export format, mapping columns...");
+  const rows = shopifyFormat ? fromShopifyExport(rawRows) : rawRows;
+  const report = [];
+  
+  const outPath = reportPathFor(dryRun ? "product-plan" : "product-report", reportPath, envProfile);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+
+  // Validación previa de todo el archivo: con errores no se escribe nada (salvo --force)
+  const validation = await enforceValidation(validateProductRows(rows), { reportPath: outPath, force, dryRun, logger });
+
+  const writeCurrentReport = async () => {
+    // Crear carpeta reports si no existe
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    await (dryRun ? writePlanReport : writeReport)(report, outPath);
+  };
+
+  // El modo plan no escribe nada, así que no necesita journal
+  const journal = dryRun
+    ? null
+    : openJournal({ kind: "product-import", file: csvPath, store: config.store, resume, dir: journalDir, logger });
+  // Filas ya importadas en una ejecución anterior; las que quedaron con error (o sin alguna ubicación) se reintentan
+  const imported = (i) => {
+    const done = journal?.done.get(i);
+    return done && done.result !== "error" && !done.locationErrors ? done : null;
   };
+  const skipped = rows.filter((_, i) => imported(i)).length;
+  if (skipped) logger.info(`↻ Resuming: skipping ${skipped} row(s) already imported from ${journal.path}`);
   
-  const formatter = new Intl.DateTimeFormat('es-CL', options);
-  const parts = formatter.formatToParts(now);
+  logger.info(`${dryRun ? "Planning" : "Processing"} ${rows.length - skipped} products${dryRun ? " (dry run, no changes will be made)" : ""}...\n`);
+  
+  // Estado simulado por handle (solo se usa en modo plan)
+  const planned = new Map();
+  // Todas las filas de un handle deben usar los mismos nombres de opción
+  const optionErrors = validateOptionNames(rows.map(parseRow));
+
+  // Validar una sola vez cada imagen (URL o archivo local) antes de importar
+  const imageSources = rows.filter((_, i) => !imported(i)).flatMap((row) => parseRow(row).images.map((image) => image.source));
+  if (imageSources.length) logger.info(`🖼️  Checking ${new Set(imageSources).size} image(s)...`);
+  const imageChecks = await checkImages(imageSources, { baseDir: path.dirname(csvPath) });
+  for (const [source, check] of imageChecks) {
+    if (!check.ok) logger.warn(`  ⚠️  Skipping image ${source}: ${check.reason}`);
+  }
+
+  // Resultado por fila en el orden del CSV; las ya importadas se toman del journal
+  const results = rows.map((_, i) => imported(i));
+  const processIndex = async (i) => {
+    const res = optionErrors.has(i)
+      ? { handle: normalize(rows[i].handle).toLowerCase(), sku: normalize(rows[i].sku), result: "error", message: optionErrors.get(i) }
+      : await processRow(rows[i], {
+          api,
+          logger,
+          locations,
+          aliases: config.locationAliases,
+          defaultLocations: defaultLocations.targets,
+          dryRun,
+          planned,
+          imageChecks,
+        });
+    // +2: la línea 1 del CSV es el encabezado (el formato Shopify trae su línea original)
+    const entry = { line: rows[i]._line ?? i + 2, ...res };
+    logger.info(entry);
+    results[i] = entry;
+    journal?.record(i, entry);
+  };
+  // Las filas de un mismo handle o SKU van en orden (crear producto antes que sus variantes)
+  const rowKeys = (i) => {
+    const handle = normalize(rows[i].handle).toLowerCase();
+    const sku = normalize(rows[i].sku);
+    return [handle && `handle:${handle}`, sku && `sku:${sku}`];
+  };
+
+  try {
+    const pending = rows.map((_, i) => i).filter((i) => !imported(i));
+    await runPool(pending, processIndex, { concurrency, keysOf: rowKeys });
+  } catch (err) {
+    // Reporte parcial con lo procesado hasta ahora; el journal queda para --resume
+    report.push(...results.filter(Boolean));
+    await writeCurrentReport();
+    logger.error(`Stopped after ${report.length} of ${rows.length} rows, partial report generated:`, outPath);
+    throw err;
+  }
+  report.push(...results);
   
-  const year = parts.find(p => p.type === 'year').value;
-  const month = parts.find(p => p.type === 'month').value;
-  const day = parts.find(p => p.type === 'day').value;
-  const hour = parts.find(p => p.type === 'hour').value;
-  const minute = parts.find(p => p.type === 'minute').value;
-  const second = parts.find(p => p.type === 'second').value;
+  // Escribir reporte
+  await writeCurrentReport();
   
-  // Formato: YYYY-MM-DD-HHMMSS
-  return `${year}-${month}-${day}-${hour}${minute}${second}`;
-}
+  logger.info(`\n✓ ${dryRun ? "Plan" : "Report"} generated:`, outPath);
+
+  const summary = {
+    total: report.length,
+    errors: report.filter((r) => r.result === "error").length,
+    locationErrors: report.filter((r) => r.locationErrors).length,
+  };
+  if (summary.locationErrors) logger.warn(`⚠️  ${summary.locationErrors} row(s) could not be stocked at every location (see the locations column)`);
+  // Con filas con error el journal se conserva: --resume reintenta solo esas
+  if (journal && summary.errors + summary.locationErrors === 0) journal.remove();
+  else if (journal) logger.info(`↻ Re-run with --resume to retry only the failed rows (journal: ${journal.path})`);
+  if (dryRun) {
+    // Conteo por acción, ej: { create_product: 2, no_change: 5 }
+    summary.actions = report.reduce((acc, r) => ({ ...acc, [r.result]: (acc[r.result] || 0) + 1 }), {});
+    logger.info("Plan summary:", summary.actions);
+  }
+  return { report, outPath, summary, validation };
+};
 
 const main = async () => {
   try {
-    // Obtener ubicaciones activas
-    console.log("Fetching active locations...");
-    const locations = await getLocations();
-    
-    if (locations.length === 0) {
-      console.error("No active locations found in your Shopify store!");
-      process.exit(1);
-    }
-    
-    console.log(`Found ${locations.length} active location(s):`);
-    locations.forEach(loc => console.log(`  - ${loc.name} (ID: ${loc.id})`));
-    console.log("");
-    
-    const csvPath = path.resolve(process.cwd(), "examples", "products.csv");
-    if (!fs.existsSync(csvPath)) {
-      console.error("CSV file not found:", csvPath);
-      process.exit(1);
-    }
-    
-    const rows = await readCsv(csvPath);
-    const report = [];
-    
-    console.log(`Processing ${rows.length} products...\n`);
-    
-    for (const r of rows) {
-      const res = await processRow(r, locations);
-      console.log(res);
-      report.push(res);
-    }
-    
-    // Generar timestamp en horario de Chile
-    const timestamp = getChileTimestamp();
-    
-    // Crear ruta del reporte
-    const outPath = path.resolve(process.cwd(), "reports", `product-report-${timestamp}.csv`);
-    
-    // Crear carpeta reports si no existe
-    fs.mkdirSync(path.dirname(outPath), { recursive: true });
-    
-    // Escribir reporte
-    await writeReport(report, outPath);
-    
-    console.log("\n✓ Report generated:", outPath);
+    const { summary } = await run();
+    if (summary.errors > 0 || summary.locationErrors > 0) process.exitCode = 1;
   } catch (err) {
     console.error("Fatal error", err);
     process.exit(1);
   }
 };
 
-main();
\ No newline at end of file
+// Ejecutar solo cuando se invoca directamente (node scripts/product-upload.js)
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main();
+}
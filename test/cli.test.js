@@ -0,0 +1,164 @@
+import { test, describe, beforeEach, afterEach, mock as nodeMock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { cli } from "../scripts/cli.js";
+import { startMockShopify } from "./helpers/mock-shopify.js";
+import { tempDir, useMockEnv, writeCsv } from "./helpers/fixtures.js";
+
+describe("cli", () => {
+  beforeEach(() => {
+    // El CLI escribe uso y progreso en consola; no ensuciar la salida de los tests
+    nodeMock.method(console, "log", () => {});
+    nodeMock.method(console, "error", () => {});
+  });
+
+  afterEach(() => nodeMock.restoreAll());
+
+  test("exits 2 on unknown commands and invalid options", async () => {
+    assert.equal(await cli(["products", "delete"]), 2);
+    assert.equal(await cli([]), 2);
+    assert.equal(await cli(["inventory", "set", "--batch-size", "0"]), 2);
+    assert.equal(await cli(["inventory", "set", "--on-conflict", "ignore"]), 2);
+    assert.equal(await cli(["inventory", "set", "--nope"]), 2);
+    assert.equal(await cli(["inventory", "export", "--quantities", "on_hand,sold"]), 2);
+    assert.equal(await cli(["inventory", "set", "--reason", "lost"]), 2);
+    assert.equal(await cli(["inventory", "set", "-e", "chile,chile"]), 2);
+    assert.equal(await cli(["inventory", "rollback", "snapshot.json", "-e", "chile,peru"]), 2);
+  });
+
+  test("exits 0 with --help", async () => {
+    assert.equal(await cli(["--help"]), 0);
+  });
+
+  test("exits 1 when a row fails and 0 when every row succeeds", async () => {
+    const shop = await startMockShopify();
+    shop.addLocation("Bodega Central");
+    shop.addProduct({ handle: "polera", variants: [{ sku: "POL-R" }] });
+    shop.setAvailable("POL-R", "Bodega Central", 0);
+    const restoreEnv = useMockEnv(shop);
+    const dir = tempDir();
+    // El journal de las filas con error se guarda en <cwd>/reports/journal
+    const cwd = process.cwd();
+    process.chdir(dir);
+
+    try {
+      const ok = writeCsv(dir, "ok.csv", ["sku,location_name,available", "POL-R,Bodega Central,3"]);
+      const bad = writeCsv(dir, "bad.csv", ["sku,location_name,available", "NOPE,Bodega Central,3"]);
+
+      assert.equal(await cli(["inventory", "set", "-q", "-f", ok, "-o", path.join(dir, "ok-report.csv")]), 0);
+      assert.equal(await cli(["inventory", "set", "-q", "-f", bad, "-o", path.join(dir, "bad-report.csv")]), 1);
+      assert.equal(shop.getAvailable("POL-R", "Bodega Central"), 3);
+      assert.equal(fs.readdirSync(path.join(dir, "reports", "journal")).length, 1);
+    } finally {
+      process.chdir(cwd);
+      restoreEnv();
+      await shop.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("pushes the same CSV to several store profiles with one report per store", async () => {
+    const chile = await startMockShopify();
+    const peru = await startMockShopify();
+    chile.addLocation("Bodega Central");
+    peru.addLocation("Almacén Lima");
+    for (const shop of [chile, peru]) {
+      shop.addProduct({ handle: "polera", variants: [{ sku: "POL-R" }] });
+    }
+    const dir = tempDir();
+    const cwd = process.cwd();
+    process.chdir(dir);
+
+    try {
+      // Cada perfil con su tienda y el alias del código de bodega del ERP
+      fs.writeFileSync(".env.chile", `SHOPIFY_STORE=cl.myshopify.com\nSHOPIFY_TOKEN=shpat_cl\nSHOPIFY_BASE_URL=${chile.url}\nSHOPIFY_LOCATION_ALIASES=WH1=Bodega Central\n`);
+      fs.writeFileSync(".env.peru", `SHOPIFY_STORE=pe.myshopify.com\nSHOPIFY_TOKEN=shpat_pe\nSHOPIFY_BASE_URL=${peru.url}\nSHOPIFY_LOCATION_ALIASES=WH1=Almacén Lima\n`);
+      const file = writeCsv(dir, "stock.csv", ["sku,location_name,available", "POL-R,WH1,8"]);
+
+      assert.equal(await cli(["inventory", "set", "-q", "-f", file, "-e", "chile,peru", "-o", path.join(dir, "stock-report.csv")]), 0);
+      assert.equal(chile.getAvailable("POL-R", "Bodega Central"), 8);
+      assert.equal(peru.getAvailable("POL-R", "Almacén Lima"), 8);
+      assert.ok(fs.existsSync(path.join(dir, "stock-report.chile.csv")));
+      assert.ok(fs.existsSync(path.join(dir, "stock-report.peru.csv")));
+
+      // Un perfil inexistente falla, pero no impide correr los demás
+      assert.equal(await cli(["inventory", "set", "-q", "-f", file, "-e", "bolivia,chile", "-o", path.join(dir, "again.csv")]), 1);
+      assert.ok(fs.existsSync(path.join(dir, "again.chile.csv")));
+    } finally {
+      process.chdir(cwd);
+      await chile.close();
+      await peru.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("resumes one store of a multi-store run without touching the other's journal", async () => {
+    const chile = await startMockShopify();
+    const peru = await startMockShopify();
+    chile.addLocation("Bodega Central");
+    peru.addLocation("Bodega Central");
+    for (const shop of [chile, peru]) {
+      shop.addProduct({ handle: "polera", variants: [{ sku: "POL-R" }] });
+    }
+    const dir = tempDir();
+    const cwd = process.cwd();
+    process.chdir(dir);
+
+    try {
+      fs.writeFileSync(".env.chile", `SHOPIFY_STORE=cl.myshopify.com\nSHOPIFY_TOKEN=shpat_cl\nSHOPIFY_BASE_URL=${chile.url}\n`);
+      fs.writeFileSync(".env.peru", `SHOPIFY_STORE=pe.myshopify.com\nSHOPIFY_TOKEN=shpat_pe\nSHOPIFY_BASE_URL=${peru.url}\n`);
+      const file = writeCsv(dir, "stock.csv", ["sku,location_name,available", "POL-R,Bodega Central,8", "GOR-1,Bodega Central,3"]);
+      const report = path.join(dir, "stock-report.csv");
+
+      // GOR-1 no existe en ninguna tienda: cada una queda con su journal pendiente
+      assert.equal(await cli(["inventory", "set", "-q", "-f", file, "-e", "chile,peru", "-o", report]), 1);
+      assert.equal(fs.readdirSync(path.join(dir, "reports", "journal")).length, 2);
+
+      // Se crea GOR-1 en chile y se retoma solo esa tienda: POL-R no se vuelve a escribir
+      chile.addProduct({ handle: "gorro", variants: [{ sku: "GOR-1" }] });
+      chile.setAvailable("POL-R", "Bodega Central", 5);
+      assert.equal(await cli(["inventory", "set", "-q", "-f", file, "-e", "chile", "--resume", "-o", report]), 0);
+      assert.equal(chile.getAvailable("GOR-1", "Bodega Central"), 3);
+      assert.equal(chile.getAvailable("POL-R", "Bodega Central"), 5);
+
+      // El journal de peru sigue ahí para su propio --resume
+      assert.deepEqual(fs.readdirSync(path.join(dir, "reports", "journal")).map((name) => name.split("-")[2]), ["pe"]);
+    } finally {
+      process.chdir(cwd);
+      await chile.close();
+      await peru.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("takes the log level from LOG_LEVEL in the profile's .env unless --verbose or --quiet is passed", async () => {
+    const shop = await startMockShopify();
+    shop.addLocation("Bodega Central");
+    shop.addProduct({ handle: "polera", variants: [{ sku: "POL-R" }] });
+    shop.setAvailable("POL-R", "Bodega Central", 0);
+    const dir = tempDir();
+    const cwd = process.cwd();
+    process.chdir(dir);
+
+    try {
+      fs.writeFileSync(".env.chile", `SHOPIFY_STORE=cl.myshopify.com\nSHOPIFY_TOKEN=shpat_cl\nSHOPIFY_BASE_URL=${shop.url}\nLOG_LEVEL=warn\n`);
+      const file = writeCsv(dir, "stock.csv", ["sku,location_name,available", "POL-R,Bodega Central,3"]);
+      const setStock = (...flags) => cli(["inventory", "set", "-f", file, "-e", "chile", "-o", path.join(dir, "report.csv"), ...flags]);
+
+      assert.equal(await setStock(), 0);
+      assert.equal(console.log.mock.callCount(), 0);
+
+      assert.equal(await setStock("--verbose"), 0);
+      assert.ok(console.log.mock.callCount() > 0);
+    } finally {
+      process.chdir(cwd);
+      await shop.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("exits 1 on fatal errors", async () => {
+    assert.equal(await cli(["inventory", "set", "-q", "-e", "does-not-exist"]), 1);
+  });
+});
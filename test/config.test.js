@@ -0,0 +1,53 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { loadConfig, parseLocationAliases } from "../scripts/lib/config.js";
+import { tempDir } from "./helpers/fixtures.js";
+
+describe("config", () => {
+  let dir;
+  let cwd;
+
+  beforeEach(() => {
+    dir = tempDir();
+    cwd = process.cwd();
+    // Los perfiles y los JSON de alias se buscan en el directorio actual
+    process.chdir(dir);
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("parses inline location aliases, ignoring case and extra spaces in the code", () => {
+    assert.deepEqual(parseLocationAliases(" BC01 = Bodega Central ; tp  02=gid://shopify/Location/7;"), {
+      bc01: "Bodega Central",
+      "tp 02": "gid://shopify/Location/7",
+    });
+    assert.deepEqual(parseLocationAliases(undefined), {});
+    assert.throws(() => parseLocationAliases("BC01"), /Invalid location alias "BC01"/);
+  });
+
+  test("reads location aliases from a JSON file", () => {
+    fs.mkdirSync(path.join(dir, "config"));
+    fs.writeFileSync(path.join(dir, "config", "peru.json"), JSON.stringify({ LIM01: "Almacén Lima", LIM02: 123 }));
+
+    assert.deepEqual(parseLocationAliases("config/peru.json"), { lim01: "Almacén Lima", lim02: "123" });
+    assert.throws(() => parseLocationAliases("config/chile.json"), /Location aliases file not found/);
+  });
+
+  test("loads each store profile with its own credentials and aliases", () => {
+    fs.writeFileSync(
+      path.join(dir, ".env.peru"),
+      ["SHOPIFY_STORE=pinlab-pe.myshopify.com", "SHOPIFY_TOKEN=shpat_pe", "SHOPIFY_LOCATION_ALIASES=LIM01=Almacén Lima"].join("\n")
+    );
+
+    const config = loadConfig({ envProfile: "peru" });
+    assert.equal(config.store, "pinlab-pe.myshopify.com");
+    assert.equal(config.token, "shpat_pe");
+    assert.deepEqual(config.locationAliases, { lim01: "Almacén Lima" });
+    assert.throws(() => loadConfig({ envProfile: "chile" }), /Env profile file not found/);
+  });
+});
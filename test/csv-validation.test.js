@@ -0,0 +1,89 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { isValidGtin, validateInventoryRows, validateProductRows } from "../scripts/lib/csv-validation.js";
+
+// Filas tal como las entrega csv-parser (todas las columnas, celdas vacías incluidas)
+const rows = (header, ...lines) => {
+  const columns = header.split(",");
+  return lines.map((line) => Object.fromEntries(line.split(",").map((value, i) => [columns[i], value])));
+};
+
+const summarize = (issues) => issues.map(({ line, column, severity }) => `${line} ${column} ${severity}`);
+
+describe("csv-validation", () => {
+  test("checks EAN/UPC check digits", () => {
+    assert.equal(isValidGtin("4006381333931"), true);
+    assert.equal(isValidGtin("036000291452"), true);
+    assert.equal(isValidGtin("96385074"), true);
+    assert.equal(isValidGtin("4006381333932"), false);
+  });
+
+  test("reports product row problems with their line and column", () => {
+    const issues = validateProductRows(
+      rows(
+        "handle,title,price,sku,barcode,colour",
+        "polera,Polera,19990,POL-R,4006381333931,",
+        "polera,Polera roja,19990,POL-R,4006381333932,",
+        "gorro,Gorro,,,123456789,",
+        "bufanda,Bufanda,$12.990,BUF-1,,",
+        ",Sin handle,1000,X-1,,"
+      )
+    );
+
+    assert.deepEqual(summarize(issues), [
+      "1 colour warning",
+      "3 sku error",
+      "3 barcode error",
+      "3 title error",
+      "4 sku error",
+      "4 price error",
+      "5 price error",
+      "6 handle error",
+    ]);
+    assert.equal(issues[1].message, "Duplicate SKU POL-R (first seen on line 2)");
+    assert.equal(issues[3].message, 'Conflicting title for handle polera (line 2 has "Polera")');
+    assert.equal(issues[5].message, "Missing price");
+    assert.equal(issues[6].message, 'Invalid price "$12.990"');
+  });
+
+  test("compares tags and status per handle regardless of order and case, and ignores empty cells", () => {
+    const issues = validateProductRows([
+      { handle: "polera", title: "Polera", price: "19990", sku: "POL-R", tags: "b, a", status: "" },
+      { handle: "polera", title: "", price: "19990", sku: "POL-A", tags: "a,b,a", status: "" },
+      { handle: "polera", title: "", price: "19990", sku: "POL-V", tags: "a", status: "" },
+      { handle: "gorro", title: "Gorro", price: "9990", sku: "GOR-1", tags: "", status: "Active" },
+      { handle: "gorro", title: "Gorro", price: "9990", sku: "GOR-2", tags: "", status: "active" },
+    ]);
+
+    assert.deepEqual(summarize(issues), ["4 tags error"]);
+  });
+
+  test("reports inventory rows with invalid quantities and repeated absolute values", () => {
+    const issues = validateInventoryRows(
+      rows(
+        "sku,location_name,available,delta",
+        "POL-R,Bodega Central,5,",
+        "POL-R,bodega  central,7,",
+        "POL-R,Bodega Central,,+2",
+        "POL-R,Bodega Central,,+3",
+        "POL-A,Bodega Central,1.5,",
+        ",Bodega Central,1,"
+      ),
+      { reason: "correction" }
+    );
+
+    assert.deepEqual(summarize(issues), ["3 location_name error", "6 available error", "7 sku error"]);
+    assert.match(issues[0].message, /Duplicate POL-R @ bodega {2}central \(first seen on line 2\)/);
+  });
+
+  test("counts an ERP warehouse code and the location it points to as the same location", () => {
+    const issues = validateInventoryRows(
+      rows("sku,location_name,available", "POL-R,BC01,5", "POL-R,bodega central,7", "POL-A,bc01,1"),
+      { reason: "correction" },
+      { bc01: "Bodega Central" }
+    );
+
+    assert.deepEqual(summarize(issues), ["3 location_name error"]);
+    assert.match(issues[0].message, /Duplicate POL-R @ bodega central \(first seen on line 2\)/);
+  });
+});
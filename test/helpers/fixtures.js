@@ -0,0 +1,45 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import csv from "csv-parser";
+import { createLogger } from "../../scripts/lib/logger.js";
+
+export const silentLogger = () => createLogger({ level: "silent" });
+
+// Carpeta temporal por test para CSVs de entrada y reportes
+export const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "pinlab-test-"));
+
+export const writeCsv = (dir, name, lines) => {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, `${lines.join("\n")}\n`);
+  return filePath;
+};
+
+export const readCsvFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on("data", (row) => rows.push(row))
+      .on("end", () => resolve(rows))
+      .on("error", reject);
+  });
+
+const ENV_KEYS = ["SHOPIFY_STORE", "SHOPIFY_TOKEN", "SHOPIFY_BASE_URL", "SHOPIFY_API_VERSION", "SHOPIFY_DEFAULT_LOCATIONS", "SHOPIFY_LOCATION_ALIASES"];
+
+// Apunta loadConfig() al mock; devuelve una función que restaura el entorno
+export const useMockEnv = (mock, { store = "test-shop.myshopify.com" } = {}) => {
+  const previous = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  Object.assign(process.env, {
+    SHOPIFY_STORE: store,
+    SHOPIFY_TOKEN: "shpat_test",
+    SHOPIFY_BASE_URL: mock.url,
+    SHOPIFY_API_VERSION: "2024-10",
+  });
+  return () => {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  };
+};
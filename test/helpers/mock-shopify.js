@@ -0,0 +1,786 @@
+import http from "http";
+
+/**
+ * Stand-in en proceso de la Admin API de Shopify para los tests.
+ *
+ * Implementa los endpoints REST que usan los scripts (locations,
+ * inventory_levels/connect) y las operaciones GraphQL (productos, variantes,
+ * opciones y media del importador, locations, productVariants por SKU,
+ * niveles de inventario por item o por ubicación, inventorySetQuantities,
+ * inventoryAdjustQuantities, inventoryActivate, operaciones masivas, metafields y staged uploads) sobre un estado en memoria con la forma de
+ * los recursos REST (option1..3, price "19990.00", ...). Devuelve los headers de throttle reales
+ * (X-Shopify-Shop-Api-Call-Limit, extensions.cost) y permite inyectar fallas
+ * (429, 5xx, THROTTLED) con `failNext`.
+ *
+ * Fuera de /admin también sirve imágenes "remotas" (`imageUrl(name)`: las
+ * .jpg/.png responden image/*, las .html text/html y el resto 404), el
+ * destino de los staged uploads y el JSONL de las operaciones masivas.
+ */
+export const startMockShopify = async () => {
+  let nextId = 1000;
+  const id = () => nextId++;
+
+  const state = {
+    locations: [],
+    products: [],
+    // `${inventoryItemId}|${locationId}` -> { available, committed?, incoming?, ... }
+    levels: new Map(),
+    // id -> { id, status, polls, content }
+    bulkOperations: new Map(),
+    // inventoryItemId -> { requires_shipping }
+    inventoryItems: new Map(),
+    // { mutation, name, reason, referenceDocumentUri, changes } de cada mutación de inventario aplicada
+    adjustmentGroups: [],
+  };
+  const requests = [];
+  const uploads = [];
+  const failures = [];
+  const hooks = new Map();
+
+  const gid = (type, numericId) => `gid://shopify/${type}/${numericId}`;
+  const fromGid = (value) => Number(String(value).split("/").pop());
+  const levelKey = (inventoryItemId, locationId) => `${inventoryItemId}|${locationId}`;
+
+  const allVariants = () => state.products.flatMap((p) => p.variants.map((v) => ({ product: p, variant: v })));
+  const findLocationByName = (name) => state.locations.find((l) => l.name === name);
+  const findVariantBySku = (sku) => allVariants().find(({ variant }) => variant.sku === sku);
+
+  // --- Helpers para preparar y revisar el estado desde los tests ---
+
+  const addLocation = (name, { active = true } = {}) => {
+    const location = { id: id(), name, active };
+    state.locations.push(location);
+    return location;
+  };
+
+  const buildVariant = (product, payload) => {
+    const variant = {
+      id: id(),
+      product_id: product.id,
+      title: [payload.option1, payload.option2, payload.option3].filter(Boolean).join(" / ") || "Default Title",
+      sku: payload.sku ?? "",
+      price: Number(payload.price ?? 0).toFixed(2),
+      barcode: payload.barcode || null,
+      option1: payload.option1 ?? "Default Title",
+      option2: payload.option2 ?? null,
+      option3: payload.option3 ?? null,
+      compare_at_price: formatPrice(payload.compare_at_price),
+      weight: Number(payload.weight ?? 0),
+      weight_unit: payload.weight_unit ?? "kg",
+      taxable: payload.taxable ?? true,
+      inventory_item_id: id(),
+      inventory_management: payload.inventory_management ?? null,
+    };
+    state.inventoryItems.set(variant.inventory_item_id, { id: variant.inventory_item_id, requires_shipping: true });
+    return variant;
+  };
+
+  // Shopify devuelve los precios como "19990.00" (o null)
+  const formatPrice = (value) => (value === undefined || value === null || value === "" ? null : Number(value).toFixed(2));
+
+  // Campos de producto que acepta addProduct (con los nombres de REST)
+  const applyProductFields = (product, payload) => {
+    for (const field of ["title", "body_html", "vendor", "product_type", "status"]) {
+      if (payload[field] !== undefined) product[field] = payload[field];
+    }
+    if (payload.tags !== undefined) {
+      product.tags = String(payload.tags).split(",").map((t) => t.trim()).filter(Boolean).join(", ");
+    }
+    if (payload.metafields_global_title_tag !== undefined) product.seo.title = payload.metafields_global_title_tag;
+    if (payload.metafields_global_description_tag !== undefined) product.seo.description = payload.metafields_global_description_tag;
+    for (const m of payload.metafields || []) product.metafields[`${m.namespace}.${m.key}`] = m.value;
+  };
+
+  const buildOptions = (names, variants) =>
+    names.map((name, i) => ({
+      name,
+      position: i + 1,
+      values: [...new Set(variants.map((v) => v[`option${i + 1}`]).filter(Boolean))],
+    }));
+
+  const addProduct = ({ handle, title = handle, body_html = "", options, variants = [{}], images = [], ...fields }) => {
+    const product = {
+      id: id(),
+      handle,
+      title,
+      body_html,
+      vendor: "",
+      product_type: "",
+      tags: "",
+      status: "active",
+      variants: [],
+      images: [],
+      seo: { title: null, description: null },
+      metafields: {},
+    };
+    applyProductFields(product, fields);
+    product.variants = variants.map((v) => buildVariant(product, v));
+    product.options = buildOptions((options || [{ name: "Title" }]).map((o) => o.name), product.variants);
+    // id del media (MediaImage) e image_id de la imagen, como en Shopify
+    product.images = images.map((img, i) => ({ id: id(), image_id: id(), product_id: product.id, position: i + 1, ...img }));
+    state.products.push(product);
+    return product;
+  };
+
+  // `others` agrega otras cantidades del nivel (ej: { committed: 2, incoming: 5 })
+  const setAvailable = (sku, locationName, available, others = {}) => {
+    const { variant } = findVariantBySku(sku);
+    const location = findLocationByName(locationName);
+    state.levels.set(levelKey(variant.inventory_item_id, location.id), { available, ...others });
+  };
+
+  const getQuantity = (sku, locationName, name) => {
+    const found = findVariantBySku(sku);
+    const location = findLocationByName(locationName);
+    if (!found || !location) return undefined;
+    const level = state.levels.get(levelKey(found.variant.inventory_item_id, location.id));
+    return level && quantity(level, name);
+  };
+
+  const getAvailable = (sku, locationName) => getQuantity(sku, locationName, "available");
+
+  const findProduct = (handle) => state.products.find((p) => p.handle === handle) || null;
+
+  // Encola `times` fallas para las próximas requests; api ("rest"/"graphql"), method, route y
+  // operation (nombre de la operación GraphQL) acotan a cuáles
+  const failNext = ({
+    status = 500,
+    headers = {},
+    body = { errors: "Internal Server Error" },
+    api,
+    method,
+    route,
+    operation,
+    throttled = false,
+    times = 1,
+  } = {}) => {
+    for (let i = 0; i < times; i++) failures.push({ status, headers, body, api, method, route, operation, throttled });
+  };
+
+  // Ejecuta fn después de una operación GraphQL (ej: simular una venta POS entre lectura y escritura)
+  const after = (operation, fn) => hooks.set(operation, fn);
+
+  // --- REST ---
+
+  const restError = (status, errors) => ({ status, body: { errors } });
+
+  // Conecta un inventory item a una ubicación (idempotente, `available` es la cantidad
+  // inicial y no cambia un nivel que ya existía); null si alguno no existe
+  const connectLevel = (inventoryItemId, locationId, available = 0) => {
+    const known = allVariants().some(({ variant }) => variant.inventory_item_id === inventoryItemId);
+    if (!known || !state.locations.some((l) => l.id === locationId)) return null;
+    const key = levelKey(inventoryItemId, locationId);
+    if (!state.levels.has(key)) state.levels.set(key, { available });
+    return state.levels.get(key);
+  };
+
+  // Reordena las imágenes al cambiar la posición de una (1 = principal)
+  const moveImage = (product, image, position) => {
+    product.images.splice(product.images.indexOf(image), 1);
+    product.images.splice(Math.max(0, position - 1), 0, image);
+    product.images.forEach((img, i) => (img.position = i + 1));
+  };
+
+  // Shopify descarga la imagen y rechaza lo que no sea un archivo de imagen
+  const isImageUrl = (src) => /\.(jpe?g|png|gif|webp)(\?|$)/i.test(src || "");
+
+  const handleRest = (method, route, query, body) => {
+    let match;
+
+    if (method === "GET" && route === "/locations.json") {
+      return { body: { locations: state.locations } };
+    }
+
+    if (method === "POST" && route === "/inventory_levels/connect.json") {
+      const inventory_item_id = Number(body.inventory_item_id);
+      const location_id = Number(body.location_id);
+      const level = connectLevel(inventory_item_id, location_id);
+      if (!level) return restError(422, { base: ["Inventory item or location not found"] });
+      return { status: 201, body: { inventory_level: { inventory_item_id, location_id, ...level } } };
+    }
+
+    return restError(404, "Not Found");
+  };
+
+  // --- GraphQL ---
+
+  const operationName = (query) => (query.match(/(?:query|mutation)\s+(\w+)/) || [])[1] || "anonymous";
+
+  const findProductByGid = (gidValue) => state.products.find((p) => p.id === fromGid(gidValue));
+
+  // on_hand = available + committed + reserved + damaged + ...; el resto de las cantidades se guardan tal cual
+  const ON_HAND_PARTS = ["available", "committed", "reserved", "damaged", "safety_stock", "quality_control"];
+  const quantity = (level, name) =>
+    name === "on_hand"
+      ? ON_HAND_PARTS.reduce((sum, part) => sum + (level[part] ?? 0), 0)
+      : level[name] ?? 0;
+
+  // Fijar on_hand mueve available en la diferencia, como en Shopify
+  const setQuantity = (level, name, value) => {
+    if (name === "on_hand") level.available += value - quantity(level, "on_hand");
+    else level[name] = value;
+  };
+
+  // Niveles de una ubicación con el item y las cantidades pedidas, como los devuelve GraphQL
+  const locationLevels = (locationId, names) =>
+    [...state.levels.entries()]
+      .map(([key, level]) => ({ key: key.split("|").map(Number), level }))
+      .filter(({ key }) => key[1] === locationId)
+      .map(({ key: [itemId], level }) => ({
+        id: gid("InventoryLevel", `${locationId}?inventory_item_id=${itemId}`),
+        item: {
+          id: gid("InventoryItem", itemId),
+          sku: allVariants().find(({ variant }) => variant.inventory_item_id === itemId)?.variant.sku ?? null,
+        },
+        quantities: names.map((name) => ({ name, quantity: quantity(level, name) })),
+      }));
+
+  const WEIGHT_UNITS = { g: "GRAMS", kg: "KILOGRAMS", lb: "POUNDS", oz: "OUNCES" };
+
+  const variantNode = (product, v) => ({
+    id: gid("ProductVariant", v.id),
+    sku: v.sku,
+    price: v.price,
+    barcode: v.barcode,
+    compareAtPrice: v.compare_at_price,
+    taxable: v.taxable,
+    selectedOptions: product.options.map((o, i) => ({ name: o.name, value: v[`option${i + 1}`] })),
+    inventoryItem: {
+      id: gid("InventoryItem", v.inventory_item_id),
+      requiresShipping: state.inventoryItems.get(v.inventory_item_id).requires_shipping,
+      measurement: { weight: { value: v.weight, unit: WEIGHT_UNITS[v.weight_unit] } },
+    },
+  });
+
+  const productNode = (product) =>
+    product && {
+      id: gid("Product", product.id),
+      handle: product.handle,
+      title: product.title,
+      descriptionHtml: product.body_html,
+      vendor: product.vendor,
+      productType: product.product_type,
+      tags: product.tags ? product.tags.split(", ") : [],
+      status: product.status.toUpperCase(),
+      seo: { ...product.seo },
+      options: product.options.map((o) => ({ name: o.name })),
+      variants: { nodes: product.variants.map((v) => variantNode(product, v)) },
+      media: {
+        nodes: product.images.map((i) => ({ id: gid("MediaImage", i.id), alt: i.alt, image: { id: gid("ProductImage", i.image_id), url: i.src } })),
+      },
+      metafields: {
+        nodes: Object.entries(product.metafields).map(([name, value]) => {
+          const [namespace, key] = name.split(".");
+          return { namespace, key, value };
+        }),
+      },
+    };
+
+  // ProductInput -> campos del estado (con nombres REST)
+  const applyProductInput = (product, input) => {
+    if (input.title !== undefined) product.title = input.title;
+    if (input.descriptionHtml !== undefined) product.body_html = input.descriptionHtml;
+    if (input.vendor !== undefined) product.vendor = input.vendor;
+    if (input.productType !== undefined) product.product_type = input.productType;
+    if (input.tags !== undefined) product.tags = input.tags.join(", ");
+    if (input.status !== undefined) product.status = input.status.toLowerCase();
+    if (input.seo) Object.assign(product.seo, input.seo);
+    for (const m of input.metafields || []) product.metafields[`${m.namespace}.${m.key}`] = m.value;
+  };
+
+  // ProductVariantsBulkInput -> campos de variante REST (option1..3, sku, weight, ...)
+  const fromVariantInput = (product, input) => {
+    const payload = {};
+    for (const { optionName, name } of input.optionValues || []) {
+      const index = product.options.findIndex((o) => o.name === optionName);
+      if (index >= 0) payload[`option${index + 1}`] = name;
+    }
+    if (input.price !== undefined) payload.price = input.price;
+    if (input.compareAtPrice !== undefined) payload.compare_at_price = input.compareAtPrice;
+    if (input.barcode !== undefined) payload.barcode = input.barcode;
+    if (input.taxable !== undefined) payload.taxable = input.taxable;
+    const item = input.inventoryItem || {};
+    if (item.sku !== undefined) payload.sku = item.sku;
+    if (item.tracked !== undefined) payload.inventory_management = item.tracked ? "shopify" : null;
+    if (item.measurement?.weight) {
+      payload.weight = item.measurement.weight.value;
+      payload.weight_unit = Object.keys(WEIGHT_UNITS).find((key) => WEIGHT_UNITS[key] === item.measurement.weight.unit);
+    }
+    return payload;
+  };
+
+  // Registra la mutación de inventario aplicada y arma su payload
+  const adjustmentGroup = (mutation, { name, reason, referenceDocumentUri = null, changes }) => {
+    state.adjustmentGroups.push({ mutation, name, reason, referenceDocumentUri, changes });
+    return {
+      inventoryAdjustmentGroup: { id: gid("InventoryAdjustmentGroup", id()), createdAt: new Date().toISOString(), reason, referenceDocumentUri, changes },
+      userErrors: [],
+    };
+  };
+
+  const graphqlHandlers = {
+    findProductByHandle: (query, variables) => ({
+      productByHandle: productNode(state.products.find((p) => p.handle === variables.handle)),
+    }),
+
+    productCreate: (query, { input }) => {
+      if (!input.title) return { productCreate: { product: null, userErrors: [{ field: ["title"], message: "Title can't be blank" }] } };
+      const options = input.productOptions?.length ? input.productOptions : [{ name: "Title", values: [{ name: "Default Title" }] }];
+      const product = addProduct({
+        handle: input.handle,
+        title: input.title,
+        options: options.map((o) => ({ name: o.name })),
+        variants: [Object.fromEntries(options.map((o, i) => [`option${i + 1}`, o.values[0].name]))],
+      });
+      applyProductInput(product, input);
+      return { productCreate: { product: productNode(product), userErrors: [] } };
+    },
+
+    productUpdate: (query, { input }) => {
+      const product = findProductByGid(input.id);
+      if (!product) return { productUpdate: { product: null, userErrors: [{ field: ["id"], message: "Product does not exist" }] } };
+      applyProductInput(product, input);
+      return { productUpdate: { product: { id: input.id }, userErrors: [] } };
+    },
+
+    productOptionsCreate: (query, { productId, options }) => {
+      const product = findProductByGid(productId);
+      // Un producto sin variantes pierde la opción oculta (Title = Default Title) al recibir opciones
+      if (product.options.length === 1 && product.options[0].name === "Title" && product.variants.every((v) => v.option1 === "Default Title")) {
+        product.options = [];
+        product.variants.forEach((v) => (v.option1 = null));
+      }
+      const names = [...product.options.map((o) => o.name), ...options.map((o) => o.name)];
+      if (names.length > 3) {
+        return { productOptionsCreate: { product: null, userErrors: [{ field: ["options"], message: "Can only have a maximum of 3 options" }] } };
+      }
+      // Las variantes existentes reciben el primer valor de cada opción nueva
+      options.forEach((o, i) => {
+        const position = product.options.length + i + 1;
+        product.variants.forEach((v) => (v[`option${position}`] = o.values[0].name));
+      });
+      product.options = buildOptions(names, product.variants);
+      return { productOptionsCreate: { product: productNode(product), userErrors: [] } };
+    },
+
+    productVariantsBulkCreate: (query, { productId, variants }) => {
+      const product = findProductByGid(productId);
+      const created = [];
+      for (const input of variants) {
+        const payload = fromVariantInput(product, input);
+        const values = product.options.map((_, i) => payload[`option${i + 1}`]);
+        const duplicate = product.variants.find((v) =>
+          values.every((value, i) => String(v[`option${i + 1}`]).toLowerCase() === String(value).toLowerCase())
+        );
+        if (duplicate) {
+          return { productVariantsBulkCreate: { productVariants: null, userErrors: [{ field: ["variants", "0"], message: `The variant '${values.join(" / ")}' already exists.` }] } };
+        }
+        const variant = buildVariant(product, payload);
+        if (input.inventoryItem?.requiresShipping !== undefined) {
+          state.inventoryItems.get(variant.inventory_item_id).requires_shipping = input.inventoryItem.requiresShipping;
+        }
+        product.variants.push(variant);
+        created.push(variant);
+      }
+      product.options = buildOptions(product.options.map((o) => o.name), product.variants);
+      return { productVariantsBulkCreate: { productVariants: created.map((v) => variantNode(product, v)), userErrors: [] } };
+    },
+
+    productVariantsBulkUpdate: (query, { productId, variants }) => {
+      const product = findProductByGid(productId);
+      const updated = [];
+      for (const input of variants) {
+        const variant = product?.variants.find((v) => v.id === fromGid(input.id));
+        if (!variant) {
+          return { productVariantsBulkUpdate: { productVariants: null, userErrors: [{ field: ["variants", "0", "id"], message: "Product variant does not exist" }] } };
+        }
+        const { price, compare_at_price, ...rest } = fromVariantInput(product, input);
+        Object.assign(variant, rest);
+        if (price !== undefined) variant.price = formatPrice(price);
+        if (compare_at_price !== undefined) variant.compare_at_price = formatPrice(compare_at_price);
+        if (input.inventoryItem?.requiresShipping !== undefined) {
+          state.inventoryItems.get(variant.inventory_item_id).requires_shipping = input.inventoryItem.requiresShipping;
+        }
+        updated.push(variant);
+      }
+      product.options = buildOptions(product.options.map((o) => o.name), product.variants);
+      return { productVariantsBulkUpdate: { productVariants: updated.map((v) => variantNode(product, v)), userErrors: [] } };
+    },
+
+    productCreateMedia: (query, { productId, media }) => {
+      const product = findProductByGid(productId);
+      const invalid = media.findIndex((m) => !isImageUrl(m.originalSource));
+      if (invalid >= 0) {
+        return {
+          productCreateMedia: {
+            media: null,
+            mediaUserErrors: [{ field: ["media", String(invalid), "originalSource"], message: "Image URL is invalid" }],
+          },
+        };
+      }
+      const created = media.map((m) => {
+        const mediaId = id();
+        // Shopify descarga la imagen y la sirve desde su CDN con otro src
+        const src = `https://cdn.shopify.com/s/files/1/0000/0001/products/${m.originalSource.split("/").pop().split("?")[0]}?v=${mediaId}`;
+        const image = { id: mediaId, image_id: id(), product_id: product.id, position: product.images.length + 1, src, alt: m.alt ?? null };
+        product.images.push(image);
+        return { id: gid("MediaImage", mediaId) };
+      });
+      return { productCreateMedia: { media: created, mediaUserErrors: [] } };
+    },
+
+    productUpdateMedia: (query, { productId, media }) => {
+      const product = findProductByGid(productId);
+      for (const m of media) {
+        const image = product.images.find((i) => i.id === fromGid(m.id));
+        if (!image) return { productUpdateMedia: { media: null, mediaUserErrors: [{ field: ["media", "id"], message: "Media does not exist" }] } };
+        if (m.alt !== undefined) image.alt = m.alt;
+      }
+      return { productUpdateMedia: { media: media.map((m) => ({ id: m.id })), mediaUserErrors: [] } };
+    },
+
+    productReorderMedia: (query, { id: productGid, moves }) => {
+      const product = findProductByGid(productGid);
+      for (const move of moves) {
+        const image = product.images.find((i) => i.id === fromGid(move.id));
+        if (!image) return { productReorderMedia: { job: null, mediaUserErrors: [{ field: ["moves", "id"], message: "Media does not exist" }] } };
+        moveImage(product, image, Number(move.newPosition) + 1);
+      }
+      return { productReorderMedia: { job: { id: gid("Job", id()) }, mediaUserErrors: [] } };
+    },
+
+    inventoryActivate: (query, { inventoryItemId, locationId, available }) => {
+      // Como Shopify: la cantidad inicial solo se acepta si el item aún no está activo en la ubicación
+      if (available !== undefined && state.levels.has(levelKey(fromGid(inventoryItemId), fromGid(locationId)))) {
+        return {
+          inventoryActivate: {
+            inventoryLevel: null,
+            userErrors: [{ field: ["available"], message: "Not allowed to set available quantity when the item is already active at the location." }],
+          },
+        };
+      }
+      const level = connectLevel(fromGid(inventoryItemId), fromGid(locationId), available);
+      if (!level) {
+        return { inventoryActivate: { inventoryLevel: null, userErrors: [{ field: ["inventoryItemId"], message: "Inventory item or location not found" }] } };
+      }
+      return { inventoryActivate: { inventoryLevel: { id: gid("InventoryLevel", id()) }, userErrors: [] } };
+    },
+
+    metafieldsSet: (query, variables) => {
+      const userErrors = [];
+      for (const metafield of variables.metafields) {
+        const product = findProductByGid(metafield.ownerId);
+        if (!product) userErrors.push({ field: ["metafields", "ownerId"], message: "Owner does not exist" });
+        else product.metafields[`${metafield.namespace}.${metafield.key}`] = metafield.value;
+      }
+      return { metafieldsSet: { userErrors } };
+    },
+
+    stagedUploadsCreate: (query, variables) => ({
+      stagedUploadsCreate: {
+        stagedTargets: variables.input.map((input) => {
+          const key = `tmp/${id()}/${input.filename}`;
+          return {
+            url: `${mockUrl}/staged-uploads`,
+            resourceUrl: `${mockUrl}/staged/${key}`,
+            parameters: [
+              { name: "key", value: key },
+              { name: "Content-Type", value: input.mimeType },
+            ],
+          };
+        }),
+        userErrors: [],
+      },
+    }),
+
+    getLocations: () => ({
+      locations: {
+        pageInfo: { hasNextPage: false, endCursor: null },
+        nodes: state.locations.map((l) => ({ id: gid("Location", l.id), name: l.name, isActive: l.active })),
+      },
+    }),
+
+    findVariantsBySku: (query, variables) => {
+      const skus = [...variables.query.matchAll(/sku:"((?:[^"\\]|\\.)*)"/g)].map((m) => m[1].replace(/\\(.)/g, "$1"));
+      const nodes = allVariants()
+        .filter(({ variant }) => skus.includes(variant.sku))
+        .map(({ product, variant }) => ({
+          id: gid("ProductVariant", variant.id),
+          sku: variant.sku,
+          product: { id: gid("Product", product.id) },
+          inventoryItem: { id: gid("InventoryItem", variant.inventory_item_id) },
+        }));
+      return { productVariants: { pageInfo: { hasNextPage: false, endCursor: null }, nodes } };
+    },
+
+    getLocationInventoryLevels: (query, { id: locationGid, names, after }) => {
+      const pageSize = Number((query.match(/inventoryLevels\(first: (\d+)/) || [])[1] || 50);
+      const levels = locationLevels(fromGid(locationGid), names);
+      const start = after ? Number(after) : 0;
+      const end = start + pageSize;
+      return {
+        location: {
+          inventoryLevels: {
+            pageInfo: { hasNextPage: end < levels.length, endCursor: String(end) },
+            nodes: levels.slice(start, end),
+          },
+        },
+      };
+    },
+
+    // Genera el JSONL al iniciar (solo entiende la consulta de inventory-export: locations > inventoryLevels)
+    bulkOperationRunQuery: (query, variables) => {
+      const running = [...state.bulkOperations.values()].find((op) => op.status === "RUNNING");
+      if (running) {
+        return {
+          bulkOperationRunQuery: {
+            bulkOperation: null,
+            userErrors: [{ field: null, message: "A bulk query operation for this app and shop is already in progress" }],
+          },
+        };
+      }
+      const names = JSON.parse((variables.query.match(/quantities\(names: (\[[^\]]*\])\)/) || [])[1] || "[]");
+      const lines = state.locations.flatMap((location) => [
+        { id: gid("Location", location.id) },
+        ...locationLevels(location.id, names).map((level) => ({ ...level, __parentId: gid("Location", location.id) })),
+      ]);
+      const operation = { id: gid("BulkOperation", id()), status: "RUNNING", polls: 0, content: lines.map((l) => JSON.stringify(l)).join("\n") };
+      operation.objectCount = lines.length;
+      state.bulkOperations.set(operation.id, operation);
+      return { bulkOperationRunQuery: { bulkOperation: { id: operation.id, status: operation.status }, userErrors: [] } };
+    },
+
+    // La primera consulta de estado responde RUNNING y la siguiente COMPLETED
+    getBulkOperation: (query, variables) => {
+      const operation = state.bulkOperations.get(variables.id);
+      if (!operation) return { node: null };
+      if (operation.status === "RUNNING" && operation.polls++ > 0) operation.status = "COMPLETED";
+      const completed = operation.status === "COMPLETED";
+      return {
+        node: {
+          id: operation.id,
+          status: operation.status,
+          errorCode: null,
+          objectCount: String(completed ? operation.objectCount : 0),
+          url: completed && operation.objectCount ? `${mockUrl}/bulk/${fromGid(operation.id)}.jsonl` : null,
+        },
+      };
+    },
+
+    getInventoryItemLevels: (query, { id: itemGid }) => {
+      const item = fromGid(itemGid);
+      const nodes = state.locations
+        .filter((loc) => state.levels.has(levelKey(item, loc.id)))
+        .map((loc) => ({
+          location: { id: gid("Location", loc.id) },
+          quantities: [{ name: "available", quantity: quantity(state.levels.get(levelKey(item, loc.id)), "available") }],
+        }));
+      return { inventoryItem: { inventoryLevels: { nodes } } };
+    },
+
+    getInventoryLevels: (query) => {
+      const data = {};
+      const names = JSON.parse(query.match(/quantities\(names: (\[[^\]]*\])\)/)?.[1] ?? "[]");
+      const aliases = query.matchAll(/(l\d+): inventoryItem\(id: "([^"]+)"\)\s*\{\s*inventoryLevel\(locationId: "([^"]+)"\)/g);
+      for (const [, alias, itemGid, locationGid] of aliases) {
+        const level = state.levels.get(levelKey(fromGid(itemGid), fromGid(locationGid)));
+        data[alias] = {
+          inventoryLevel: level ? { quantities: names.map((name) => ({ name, quantity: quantity(level, name) })) } : null,
+        };
+      }
+      return data;
+    },
+
+    inventorySetQuantities: (query, variables) => {
+      const { name, reason, referenceDocumentUri, quantities, ignoreCompareQuantity } = variables.input;
+      if (!["available", "on_hand"].includes(name)) {
+        return { inventorySetQuantities: { inventoryAdjustmentGroup: null, userErrors: [{ field: ["input", "name"], message: "The quantity name must be either 'available' or 'on_hand'.", code: "INVALID_NAME" }] } };
+      }
+      const userErrors = [];
+      quantities.forEach((q, i) => {
+        const field = ["input", "quantities", String(i)];
+        const level = state.levels.get(levelKey(fromGid(q.inventoryItemId), fromGid(q.locationId)));
+        if (!level) {
+          userErrors.push({
+            field: [...field, "locationId"],
+            message: "The specified inventory item is not stocked at the location.",
+            code: "ITEM_NOT_STOCKED_AT_LOCATION",
+          });
+        } else if (!ignoreCompareQuantity && q.compareQuantity !== quantity(level, name)) {
+          userErrors.push({
+            field: [...field, "compareQuantity"],
+            message: "The specified compare quantity does not match the current quantity.",
+            code: "COMPARE_QUANTITY_STALE",
+          });
+        }
+      });
+
+      // La mutación es atómica: con cualquier error no se aplica nada
+      if (userErrors.length) return { inventorySetQuantities: { inventoryAdjustmentGroup: null, userErrors } };
+
+      const changes = quantities.map((q) => {
+        const level = state.levels.get(levelKey(fromGid(q.inventoryItemId), fromGid(q.locationId)));
+        const delta = q.quantity - quantity(level, name);
+        setQuantity(level, name, q.quantity);
+        return { name, delta, quantityAfterChange: q.quantity };
+      });
+      return { inventorySetQuantities: adjustmentGroup("inventorySetQuantities", { name, reason, referenceDocumentUri, changes }) };
+    },
+
+    inventoryAdjustQuantities: (query, variables) => {
+      const { name, reason, referenceDocumentUri, changes } = variables.input;
+      const userErrors = [];
+      changes.forEach((c, i) => {
+        const field = ["input", "changes", String(i)];
+        if (!state.levels.has(levelKey(fromGid(c.inventoryItemId), fromGid(c.locationId)))) {
+          userErrors.push({
+            field: [...field, "locationId"],
+            message: "The specified inventory item is not stocked at the location.",
+            code: "ITEM_NOT_STOCKED_AT_LOCATION",
+          });
+        } else if (name !== "available" && !c.ledgerDocumentUri) {
+          userErrors.push({
+            field: [...field, "ledgerDocumentUri"],
+            message: "A ledger document URI is required for quantity names other than available.",
+            code: "INVALID_LEDGER_DOCUMENT",
+          });
+        }
+      });
+      if (userErrors.length) return { inventoryAdjustQuantities: { inventoryAdjustmentGroup: null, userErrors } };
+
+      const applied = changes.map((c) => {
+        const level = state.levels.get(levelKey(fromGid(c.inventoryItemId), fromGid(c.locationId)));
+        setQuantity(level, name, quantity(level, name) + c.delta);
+        return { name, delta: c.delta, quantityAfterChange: quantity(level, name) };
+      });
+      return { inventoryAdjustQuantities: adjustmentGroup("inventoryAdjustQuantities", { name, reason, referenceDocumentUri, changes: applied }) };
+    },
+  };
+
+  const throttleStatus = { maximumAvailable: 2000, currentlyAvailable: 1990, restoreRate: 100 };
+  const extensions = (cost = 10) => ({
+    cost: { requestedQueryCost: cost, actualQueryCost: cost, throttleStatus: { ...throttleStatus } },
+  });
+
+  const handleGraphql = async ({ query, variables = {} }) => {
+    const operation = operationName(query);
+    const handler = graphqlHandlers[operation];
+    if (!handler) {
+      return { body: { errors: [{ message: `Operation ${operation} is not supported by the mock` }] } };
+    }
+    const data = handler(query, variables);
+    const hook = hooks.get(operation);
+    if (hook) await hook({ query, variables });
+    return { body: { data, extensions: extensions() } };
+  };
+
+  // --- Hosts externos: imágenes remotas y destino de staged uploads ---
+
+  const IMAGE_TYPES = { ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png", ".html": "text/html" };
+
+  const handleExternal = (req, res, url, raw) => {
+    if (req.method === "POST" && url.pathname === "/staged-uploads") {
+      const key = (raw.match(/name="key"\r\n\r\n([^\r]+)/) || [])[1];
+      const filename = (raw.match(/name="file"; filename="([^"]+)"/) || [])[1];
+      uploads.push({ key, filename });
+      res.writeHead(key && filename ? 204 : 400);
+      res.end();
+      return;
+    }
+
+    const bulk = url.pathname.match(/^\/bulk\/(\d+)\.jsonl$/);
+    if (req.method === "GET" && bulk) {
+      const operation = state.bulkOperations.get(gid("BulkOperation", bulk[1]));
+      res.writeHead(operation ? 200 : 404, { "Content-Type": "application/jsonl" });
+      res.end(operation ? operation.content : "");
+      return;
+    }
+
+    const type = IMAGE_TYPES[(url.pathname.match(/\.\w+$/) || [""])[0].toLowerCase()];
+    if (/^\/(images|staged)\//.test(url.pathname) && type) {
+      res.writeHead(200, { "Content-Type": type });
+      res.end(req.method === "HEAD" ? undefined : "image");
+      return;
+    }
+
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("Not Found");
+  };
+
+  // --- Servidor ---
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", async () => {
+      const url = new URL(req.url, "http://localhost");
+      const match = url.pathname.match(/^\/admin\/api\/[^/]+(\/.*)$/);
+      if (!match) {
+        handleExternal(req, res, url, raw);
+        return;
+      }
+      const route = match[1];
+      const body = raw ? JSON.parse(raw) : {};
+      const api = route === "/graphql.json" ? "graphql" : "rest";
+      const operation = api === "graphql" ? operationName(body.query || "") : undefined;
+      requests.push({ method: req.method, api, route, operation, query: Object.fromEntries(url.searchParams), body });
+
+      const send = (status, payload, headers = {}) => {
+        res.writeHead(status, { "Content-Type": "application/json", ...headers });
+        res.end(JSON.stringify(payload));
+      };
+
+      const failureIndex = failures.findIndex(
+        (f) =>
+          (!f.api || f.api === api) &&
+          (!f.method || f.method === req.method) &&
+          (!f.route || f.route === route) &&
+          (!f.operation || f.operation === operation)
+      );
+      if (failureIndex >= 0) {
+        const failure = failures.splice(failureIndex, 1)[0];
+        if (failure.throttled) {
+          send(200, {
+            errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+            extensions: { cost: { requestedQueryCost: 10, throttleStatus: { ...throttleStatus, currentlyAvailable: 0 } } },
+          });
+        } else {
+          send(failure.status, failure.body, failure.headers);
+        }
+        return;
+      }
+
+      try {
+        if (api === "graphql") {
+          const result = await handleGraphql(body);
+          send(200, result.body);
+        } else {
+          const result = handleRest(req.method, route, url.searchParams, body);
+          send(result.status || 200, result.body, { "X-Shopify-Shop-Api-Call-Limit": "1/40" });
+        }
+      } catch (err) {
+        send(500, { errors: err.message });
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const mockUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url: mockUrl,
+    imageUrl: (name) => `${mockUrl}/images/${name}`,
+    state,
+    requests,
+    uploads,
+    addLocation,
+    addProduct,
+    setAvailable,
+    getAvailable,
+    getQuantity,
+    findProduct,
+    failNext,
+    after,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
@@ -0,0 +1,139 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { run } from "../scripts/inventory-export.js";
+import { run as setInventory } from "../scripts/inventory-update.js";
+import { startMockShopify } from "./helpers/mock-shopify.js";
+import { readCsvFile, silentLogger, tempDir, useMockEnv } from "./helpers/fixtures.js";
+
+describe("inventory-export", () => {
+  let mock;
+  let restoreEnv;
+  let dir;
+
+  beforeEach(async () => {
+    mock = await startMockShopify();
+    mock.addLocation("Bodega Central");
+    mock.addLocation("Tienda Providencia");
+    mock.addLocation("Cerrada", { active: false });
+    mock.addProduct({ handle: "polera", options: [{ name: "Color" }], variants: [
+      { sku: "POL-R", option1: "Rojo" },
+      { sku: "POL-A", option1: "Azul" },
+      { sku: "", option1: "Verde" },
+    ] });
+    mock.setAvailable("POL-R", "Bodega Central", 5, { committed: 2, incoming: 10 });
+    mock.setAvailable("POL-R", "Cerrada", 1);
+    mock.setAvailable("POL-A", "Tienda Providencia", 3);
+    mock.setAvailable("", "Bodega Central", 4);
+    restoreEnv = useMockEnv(mock);
+    dir = tempDir();
+  });
+
+  afterEach(async () => {
+    restoreEnv();
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const exportCsv = (options = {}) =>
+    run({ report: path.join(dir, "export.csv"), pollInterval: 1, logger: silentLogger(), ...options });
+
+  test("exports every SKU and location, inactive ones included, in the inventory set format", async () => {
+    const { summary, outPath } = await exportCsv();
+
+    assert.deepEqual(summary, { total: 3, skipped: 1, errors: 0 });
+    const rows = await readCsvFile(outPath);
+    assert.deepEqual(Object.keys(rows[0]), ["sku", "location_name", "available"]);
+    assert.deepEqual(rows.map((r) => [r.sku, r.location_name, r.available]), [
+      ["POL-A", "Tienda Providencia", "3"],
+      ["POL-R", "Bodega Central", "5"],
+      ["POL-R", "Cerrada", "1"],
+    ]);
+  });
+
+  test("adds the requested quantity columns", async () => {
+    const { report } = await exportCsv({ quantities: ["on_hand", "committed", "incoming"] });
+
+    assert.deepEqual(report.find((r) => r.location_name === "Bodega Central"), {
+      sku: "POL-R",
+      location_name: "Bodega Central",
+      available: 5,
+      on_hand: 7,
+      committed: 2,
+      incoming: 10,
+    });
+  });
+
+  test("reads through a bulk operation with the same output", async () => {
+    const paged = await exportCsv({ quantities: ["on_hand"] });
+    mock.requests.length = 0;
+    const bulk = await exportCsv({ quantities: ["on_hand"], bulk: true });
+
+    assert.deepEqual(bulk.report, paged.report);
+    const operations = mock.requests.map((r) => r.operation);
+    assert.ok(operations.includes("bulkOperationRunQuery"));
+    assert.ok(operations.filter((op) => op === "getBulkOperation").length >= 2, "polls until the operation completes");
+    assert.ok(!operations.includes("getLocationInventoryLevels"));
+  });
+
+  test("pages through locations with many inventory levels", async () => {
+    mock.addProduct({
+      handle: "calcetin",
+      options: [{ name: "Talla" }],
+      variants: Array.from({ length: 120 }, (_, i) => ({ sku: `CAL-${String(i).padStart(3, "0")}`, option1: String(i) })),
+    });
+    for (let i = 0; i < 120; i++) mock.setAvailable(`CAL-${String(i).padStart(3, "0")}`, "Tienda Providencia", i);
+
+    const { report } = await exportCsv();
+
+    assert.equal(report.filter((r) => r.sku.startsWith("CAL-")).length, 120);
+    const pages = mock.requests.filter(
+      (r) => r.operation === "getLocationInventoryLevels" && r.body.variables.id.endsWith(`/${mock.state.locations[1].id}`)
+    );
+    assert.equal(pages.length, 2);
+  });
+
+  test("the export feeds straight back into inventory set", async () => {
+    const { outPath } = await exportCsv({ quantities: ["on_hand", "committed"] });
+    const rows = await readCsvFile(outPath);
+    rows.find((r) => r.sku === "POL-A").available = "9";
+    const edited = path.join(dir, "edited.csv");
+    fs.writeFileSync(edited, ["sku,location_name,available,on_hand,committed", ...rows.map((r) => Object.values(r).join(","))].join("\n"));
+
+    const { summary } = await setInventory({
+      file: edited,
+      report: path.join(dir, "report.csv"),
+      journalDir: path.join(dir, "journal"),
+      logger: silentLogger(),
+    });
+
+    assert.equal(summary.errors, 0);
+    assert.equal(summary.success, 3);
+    assert.equal(mock.getAvailable("POL-A", "Tienda Providencia"), 9);
+    assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 5);
+    assert.equal(mock.getAvailable("POL-R", "Cerrada"), 1);
+  });
+
+  test("applies an export saved from Excel as CSV UTF-8 (with BOM)", async () => {
+    const { outPath } = await exportCsv();
+    const rows = await readCsvFile(outPath);
+    rows.find((r) => r.sku === "POL-R" && r.location_name === "Bodega Central").available = "7";
+    const edited = path.join(dir, "excel.csv");
+    fs.writeFileSync(edited, "\uFEFF" + ["sku,location_name,available", ...rows.map((r) => Object.values(r).join(","))].join("\r\n"));
+
+    const { summary } = await setInventory({
+      file: edited,
+      report: path.join(dir, "report.csv"),
+      journalDir: path.join(dir, "journal"),
+      logger: silentLogger(),
+    });
+
+    assert.equal(summary.errors, 0);
+    assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 7);
+  });
+
+  test("rejects unknown quantity names", async () => {
+    await assert.rejects(exportCsv({ quantities: ["sold"] }), /Unknown inventory quantity name\(s\): sold/);
+  });
+});
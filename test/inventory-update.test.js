@@ -0,0 +1,366 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { run, rollback, snapshotPathFor } from "../scripts/inventory-update.js";
+import { startMockShopify } from "./helpers/mock-shopify.js";
+import { readCsvFile, silentLogger, tempDir, useMockEnv, writeCsv } from "./helpers/fixtures.js";
+
+describe("inventory-update", () => {
+  let mock;
+  let restoreEnv;
+  let dir;
+
+  beforeEach(async () => {
+    mock = await startMockShopify();
+    mock.addLocation("Bodega Central");
+    mock.addLocation("Tienda Providencia");
+    mock.addProduct({ handle: "polera", options: [{ name: "Color" }], variants: [
+      { sku: "POL-R", option1: "Rojo" },
+      { sku: "POL-A", option1: "Azul" },
+    ] });
+    mock.setAvailable("POL-R", "Bodega Central", 1);
+    mock.setAvailable("POL-A", "Bodega Central", 2);
+    restoreEnv = useMockEnv(mock);
+    dir = tempDir();
+  });
+
+  afterEach(async () => {
+    restoreEnv();
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const setCsv = (lines, options = {}) =>
+    run({
+      file: writeCsv(dir, "inventory.csv", ["sku,location_name,available", ...lines]),
+      report: path.join(dir, "report.csv"),
+      journalDir: path.join(dir, "journal"),
+      logger: silentLogger(),
+      ...options,
+    });
+
+  test("sets quantities in one batched mutation and reports before/after", async () => {
+    const { summary, outPath } = await setCsv(["POL-R,Bodega Central,10", "POL-A,bodega central ,20"]);
+
+    assert.equal(summary.success, 2);
+    assert.equal(summary.errors, 0);
+    assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 10);
+    assert.equal(mock.getAvailable("POL-A", "Bodega Central"), 20);
+
+    const mutations = mock.requests.filter((r) => r.api === "graphql" && /inventorySetQuantities/.test(r.body.query));
+    assert.equal(mutations.length, 1);
+
+    const report = await readCsvFile(outPath);
+    assert.deepEqual(report.map((r) => r.sku), ["POL-R", "POL-A"]);
+    assert.ok(report.every((r) => r.result === "success"));
+  });
+
+  test("connects items that are not stocked at the location yet", async () => {
+    const { summary } = await setCsv(["POL-R,Tienda Providencia,7"]);
+
+    assert.equal(summary.success, 1);
+    assert.equal(mock.getAvailable("POL-R", "Tienda Providencia"), 7);
+    assert.ok(mock.requests.some((r) => r.route === "/inventory_levels/connect.json"));
+  });
+
+  test("reports unknown SKUs, unknown locations and invalid quantities per row", async () => {
+    const { report, summary } = await setCsv([
+      "NOPE,Bodega Central,1",
+      "POL-R,Sucursal Fantasma,1",
+      "POL-A,Bodega Central,abc",
+      "POL-A,Bodega Central,5",
+    ], { force: true });
+
+    assert.equal(summary.errors, 3);
+    assert.equal(summary.success, 1);
+    assert.deepEqual(report.map((r) => r.result), ["error", "error", "error", "success"]);
+    assert.equal(mock.getAvailable("POL-A", "Bodega Central"), 5);
+  });
+
+  test("refuses to write when two rows set the same SKU and location", async () => {
+    const lines = ["POL-R,Bodega Central,10", "POL-R,bodega central,12"];
+
+    await assert.rejects(setCsv(lines), /CSV validation failed with 1 error\(s\)/);
+    assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 1);
+    const [issue] = await readCsvFile(path.join(dir, "report.validation.csv"));
+    assert.deepEqual(issue, {
+      line: "3",
+      column: "location_name",
+      severity: "error",
+      message: "Duplicate POL-R @ bodega central (first seen on line 2), only the last value would remain",
+    });
+
+    const { summary } = await setCsv(lines, { force: true });
+    assert.equal(summary.success, 2);
+    assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 12);
+  });
+
+  test("re-running the same CSV leaves quantities unchanged", async () => {
+    const lines = ["POL-R,Bodega Central,10"];
+    await setCsv(lines);
+    const { summary } = await setCsv(lines);
+
+    assert.equal(summary.success, 1);
+    assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 10);
+  });
+
+  test("resolves ERP location codes, IDs and names with extra spaces", async () => {
+    const [bodega, tienda] = mock.state.locations;
+    process.env.SHOPIFY_LOCATION_ALIASES = `BC01=Bodega Central; TP02=gid://shopify/Location/${tienda.id}`;
+    const { report, summary } = await setCsv([
+      "POL-R,bc01,3",
+      "POL-A,TP02,4",
+      `POL-A,${bodega.id},5`,
+      "POL-R,Tienda   providencia,6",
+      "POL-R,XX99,7",
+    ]);
+
+    assert.equal(summary.success, 4);
+    assert.deepEqual(report.at(-1), { sku: "POL-R", locationName: "XX99", result: "error", message: "Location not found" });
+    assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 3);
+    assert.equal(mock.getAvailable("POL-A", "Tienda Providencia"), 4);
+    assert.equal(mock.getAvailable("POL-A", "Bodega Central"), 5);
+    assert.equal(mock.getAvailable("POL-R", "Tienda Providencia"), 6);
+  });
+
+  test("dry run reads current stock without writing", async () => {
+    const { report } = await setCsv(["POL-R,Bodega Central,10"], { dryRun: true });
+
+    assert.equal(report[0].result, "dry_run");
+    assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 1);
+    assert.ok(!mock.requests.some((r) => /inventorySetQuantities/.test(r.body.query || "")));
+    assert.ok(!fs.existsSync(snapshotPathFor(path.join(dir, "report.csv"))));
+  });
+
+  test("writes a snapshot that rollback restores", async () => {
+    const { outPath, snapshotPath } = await setCsv(["POL-R,Bodega Central,10", "POL-A,Tienda Providencia,4"]);
+    assert.equal(snapshotPath, snapshotPathFor(outPath));
+
+    const snapshot = JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+    assert.equal(snapshot.store, "test-shop.myshopify.com");
+    assert.deepEqual(snapshot.entries.map((e) => [e.sku, e.before, e.after]), [
+      ["POL-R", 1, 10],
+      ["POL-A", 0, 4],
+    ]);
+
+    const { summary } = await rollback({
+      snapshot: outPath,
+      report: path.join(dir, "rollback.csv"),
+      journalDir: path.join(dir, "journal"),
+      logger: silentLogger(),
+    });
+    assert.equal(summary.success, 2);
+    assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 1);
+    assert.equal(mock.getAvailable("POL-A", "Tienda Providencia"), 0);
+  });
+
+  describe("adjustments", () => {
+    const adjustCsv = (lines, options = {}) =>
+      setCsv([], { file: writeCsv(dir, "adjust.csv", lines), ...options });
+
+    test("applies deltas with inventoryAdjustQuantities and the row or global reason", async () => {
+      const { report, summary } = await adjustCsv(
+        [
+          "sku,location_name,available,delta,reason,reference_document_uri",
+          "POL-R,Bodega Central,,+12,,",
+          "POL-A,Bodega Central,,-1,shrinkage,",
+        ],
+        { reason: "received", referenceDocumentUri: "logistics://receiving/REC-881" }
+      );
+
+      assert.equal(summary.success, 2);
+      assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 13);
+      assert.equal(mock.getAvailable("POL-A", "Bodega Central"), 1);
+      assert.equal(report[0].message, "Stock adjusted by +12 (1 -> 13) (GraphQL inventoryAdjustQuantities)");
+      // Un motivo distinto va en otra mutación
+      assert.deepEqual(
+        mock.state.adjustmentGroups.map((g) => [g.mutation, g.reason, g.referenceDocumentUri, g.changes.map((c) => c.delta)]),
+        [
+          ["inventoryAdjustQuantities", "received", "logistics://receiving/REC-881", [12]],
+          ["inventoryAdjustQuantities", "shrinkage", "logistics://receiving/REC-881", [-1]],
+        ]
+      );
+    });
+
+    test("applies sets and deltas on the same level in file order", async () => {
+      const { report } = await adjustCsv([
+        "sku,location_name,available,delta",
+        "POL-R,Bodega Central,10,",
+        "POL-R,Bodega Central,,+5",
+        "POL-R,Bodega Central,,-2",
+      ]);
+
+      assert.deepEqual(report.map((r) => r.result), ["success", "success", "success"]);
+      assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 13);
+      assert.deepEqual(mock.state.adjustmentGroups.map((g) => g.mutation), [
+        "inventorySetQuantities",
+        "inventoryAdjustQuantities",
+        "inventoryAdjustQuantities",
+      ]);
+    });
+
+    test("sets on_hand and adjusts damaged with a reference document", async () => {
+      mock.setAvailable("POL-R", "Bodega Central", 5, { committed: 2 });
+      const { summary } = await adjustCsv([
+        "sku,location_name,available,delta,quantity_name,reason,reference_document_uri",
+        "POL-R,Bodega Central,10,,on_hand,cycle_count_available,",
+        "POL-A,Bodega Central,,+3,damaged,damaged,logistics://damage/D-12",
+      ]);
+
+      assert.equal(summary.success, 2);
+      assert.equal(mock.getQuantity("POL-R", "Bodega Central", "on_hand"), 10);
+      assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 8);
+      assert.equal(mock.getQuantity("POL-A", "Bodega Central", "damaged"), 3);
+      const damaged = mock.requests.find((r) => r.operation === "inventoryAdjustQuantities").body.variables.input;
+      assert.equal(damaged.name, "damaged");
+      assert.equal(damaged.changes[0].ledgerDocumentUri, "logistics://damage/D-12");
+    });
+
+    test("sends batches in parallel but applies the rows of one SKU and location in file order", async () => {
+      const { report } = await adjustCsv(
+        [
+          "sku,location_name,available,delta",
+          "POL-R,Bodega Central,10,",
+          "POL-A,Bodega Central,,+4",
+          "POL-R,Bodega Central,,+3",
+          "POL-A,Tienda Providencia,7,",
+          "POL-R,Bodega Central,,-2",
+        ],
+        { batchSize: 1, concurrency: 4 }
+      );
+
+      assert.deepEqual(report.map((r) => r.message.replace(/ \(GraphQL \w+\)$/, "")), [
+        "Stock updated from 1 to 10",
+        "Stock adjusted by +4 (2 -> 6)",
+        "Stock adjusted by +3 (10 -> 13)",
+        "Stock updated from 0 to 7",
+        "Stock adjusted by -2 (13 -> 11)",
+      ]);
+      // El valor absoluto de la primera fila se aplicó antes que los ajustes del mismo par
+      assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 11);
+      assert.equal(mock.getAvailable("POL-A", "Bodega Central"), 6);
+    });
+
+    test("reports invalid deltas, quantity names and reasons per row", async () => {
+      const { report, summary } = await adjustCsv([
+        "sku,location_name,available,delta,quantity_name,reason,reference_document_uri",
+        "POL-R,Bodega Central,,abc,,,",
+        "POL-R,Bodega Central,5,+1,,,",
+        "POL-R,Bodega Central,5,,damaged,,",
+        "POL-R,Bodega Central,,+1,damaged,,",
+        "POL-R,Bodega Central,,+1,,lost,",
+        "POL-A,Bodega Central,,+1,,,",
+      ], { force: true });
+
+      assert.equal(summary.errors, 5);
+      assert.deepEqual(report.slice(0, 5).map((r) => r.message), [
+        'Invalid delta "abc"',
+        "Row has both available and delta, use only one",
+        'Invalid quantity_name "damaged" for available (expected available, on_hand; use delta for the rest)',
+        "reference_document_uri is required to adjust damaged",
+        'Invalid reason "lost"',
+      ]);
+      assert.equal(mock.getAvailable("POL-A", "Bodega Central"), 3);
+      await assert.rejects(adjustCsv(["sku,location_name,available"], { reason: "lost" }), /Invalid reason: lost/);
+    });
+
+    test("rollback reverts deltas, including quantities that can only be adjusted", async () => {
+      const { outPath } = await adjustCsv([
+        "sku,location_name,available,delta,quantity_name,reference_document_uri",
+        "POL-R,Bodega Central,,+12,,",
+        "POL-A,Bodega Central,,+3,damaged,logistics://damage/D-12",
+        "POL-A,Bodega Central,,+2,damaged,logistics://damage/D-12",
+      ]);
+
+      const { summary } = await rollback({
+        snapshot: outPath,
+        report: path.join(dir, "rollback.csv"),
+        journalDir: path.join(dir, "journal"),
+        logger: silentLogger(),
+      });
+      assert.equal(summary.success, 2);
+      assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 1);
+      assert.equal(mock.getQuantity("POL-A", "Bodega Central", "damaged"), 0);
+      assert.deepEqual(mock.state.adjustmentGroups.at(-1).changes.map((c) => c.delta), [-5]);
+    });
+  });
+
+  describe("resume", () => {
+    const lines = ["POL-R,Bodega Central,10", "POL-A,Bodega Central,20"];
+    const mutations = () => mock.requests.filter((r) => /inventorySetQuantities/.test(r.body.query || ""));
+
+    test("re-applies only the batches that failed and keeps a complete snapshot", async () => {
+      // Después del primer lote la API deja de responder
+      let firstBatch = true;
+      mock.after("inventorySetQuantities", () => {
+        if (firstBatch) mock.failNext({ status: 503, headers: { "Retry-After": "0" }, api: "graphql", times: 6 });
+        firstBatch = false;
+      });
+      const first = await setCsv(lines, { batchSize: 1 });
+      assert.deepEqual(first.report.map((r) => r.result), ["success", "error"]);
+
+      mock.requests.length = 0;
+      const { report, summary, snapshotPath } = await setCsv(lines, { batchSize: 1, resume: true });
+
+      assert.equal(summary.success, 2);
+      assert.deepEqual(report.map((r) => r.result), ["success", "success"]);
+      assert.equal(mutations().length, 1);
+      assert.deepEqual(mutations()[0].body.variables.input.quantities.map((q) => q.quantity), [20]);
+      assert.equal(mock.getAvailable("POL-A", "Bodega Central"), 20);
+
+      const snapshot = JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+      assert.deepEqual(snapshot.entries.map((e) => [e.sku, e.before, e.after]), [
+        ["POL-R", 1, 10],
+        ["POL-A", 2, 20],
+      ]);
+      assert.deepEqual(fs.readdirSync(path.join(dir, "journal")), []);
+    });
+
+    test("writes a partial report when the run stops on a fatal error", async () => {
+      // La lectura de niveles falla en todos los reintentos
+      mock.after("findVariantsBySku", () => {
+        mock.failNext({ status: 503, headers: { "Retry-After": "0" }, api: "graphql", times: 6 });
+      });
+      await assert.rejects(setCsv(lines), /503/);
+
+      const report = await readCsvFile(path.join(dir, "report.csv"));
+      assert.deepEqual(report.map((r) => [r.sku, r.result, r.message]), [
+        ["POL-R", "error", "Not processed"],
+        ["POL-A", "error", "Not processed"],
+      ]);
+      assert.equal(fs.readdirSync(path.join(dir, "journal")).length, 1);
+    });
+  });
+
+  describe("safe mode", () => {
+    // Simula una venta en el POS entre la lectura de niveles y la mutación
+    const sellBetweenReadAndWrite = () => {
+      let sold = false;
+      mock.after("getInventoryLevels", () => {
+        if (sold) return;
+        sold = true;
+        mock.setAvailable("POL-R", "Bodega Central", 0);
+      });
+    };
+
+    test("marks rows as conflict when stock changed concurrently", async () => {
+      sellBetweenReadAndWrite();
+      const { report, summary } = await setCsv(["POL-R,Bodega Central,10", "POL-A,Bodega Central,20"], { safe: true });
+
+      assert.equal(summary.conflicts, 1);
+      assert.deepEqual(report.map((r) => r.result), ["conflict", "success"]);
+      assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 0);
+      assert.equal(mock.getAvailable("POL-A", "Bodega Central"), 20);
+    });
+
+    test("re-reads and re-applies with onConflict retry", async () => {
+      sellBetweenReadAndWrite();
+      const { summary } = await setCsv(["POL-R,Bodega Central,10"], { safe: true, onConflict: "retry" });
+
+      assert.equal(summary.conflicts, 0);
+      assert.equal(summary.success, 1);
+      assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 10);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { openJournal } from "../scripts/lib/journal.js";
+import { silentLogger, tempDir, writeCsv } from "./helpers/fixtures.js";
+
+describe("journal", () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = tempDir();
+    file = writeCsv(dir, "inventory.csv", ["sku,location_name,available", "POL-R,Bodega Central,1"]);
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const open = (options = {}) =>
+    openJournal({ kind: "inventory-set", file, store: "a.myshopify.com", dir, logger: silentLogger(), ...options });
+
+  test("resumes the last record of each row and ignores a line cut by a crash", () => {
+    const journal = open();
+    journal.record(0, { result: "error" });
+    journal.record(0, { result: "success" });
+    journal.record(1, { result: "success" });
+    fs.appendFileSync(journal.path, '{"index":2,"entry":{"res');
+
+    const resumed = open({ resume: true });
+    assert.equal(resumed.path, journal.path);
+    assert.deepEqual([...resumed.done], [
+      [0, { result: "success" }],
+      [1, { result: "success" }],
+    ]);
+  });
+
+  test("starts over without resume and keys the journal by file content", () => {
+    open().record(0, { result: "success" });
+    assert.equal(open().done.size, 0);
+    assert.equal(open({ resume: true }).done.size, 0);
+
+    const other = writeCsv(dir, "other.csv", ["sku,location_name,available", "POL-A,Bodega Central,1"]);
+    assert.notEqual(open({ file: other }).path, open().path);
+    assert.equal(path.dirname(open().path), dir);
+  });
+
+  test("keeps one journal per store for the same file", () => {
+    open().record(0, { result: "success" });
+    const other = open({ store: "b.myshopify.com" });
+    assert.notEqual(other.path, open({ resume: true }).path);
+    assert.match(path.basename(other.path), /^inventory-set-b-[0-9a-f]{16}\.jsonl$/);
+
+    // Empezar en otra tienda no descarta el journal de la primera
+    assert.equal(open({ resume: true }).done.size, 1);
+    assert.equal(open({ resume: true, store: "b.myshopify.com" }).done.size, 0);
+  });
+});
@@ -0,0 +1,687 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { run } from "../scripts/product-upload.js";
+import { startMockShopify } from "./helpers/mock-shopify.js";
+import { readCsvFile, silentLogger, tempDir, useMockEnv, writeCsv } from "./helpers/fixtures.js";
+
+const HEADER = "handle,title,body_html,price,sku,barcode,option1_name,option1_value,images";
+
+describe("product-upload", () => {
+  let mock;
+  let restoreEnv;
+  let dir;
+
+  beforeEach(async () => {
+    mock = await startMockShopify();
+    mock.addLocation("Bodega Central");
+    mock.addLocation("Tienda Providencia");
+    mock.addLocation("Cerrada", { active: false });
+    restoreEnv = useMockEnv(mock);
+    dir = tempDir();
+  });
+
+  afterEach(async () => {
+    restoreEnv();
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const importCsv = (lines, options = {}) =>
+    run({
+      file: writeCsv(dir, "products.csv", lines),
+      report: path.join(dir, options.dryRun ? "plan.csv" : "report.csv"),
+      journalDir: path.join(dir, "journal"),
+      logger: silentLogger(),
+      ...options,
+    });
+
+  test("creates products and variants and connects them to active locations", async () => {
+    const { summary, outPath } = await importCsv([
+      HEADER,
+      `polera,Polera,<p>Algodón</p>,19990,POL-R,111,Color,Rojo,${mock.imageUrl("polera-roja.jpg")}`,
+      `polera,Polera,<p>Algodón</p>,19990,POL-A,222,Color,Azul,${mock.imageUrl("polera-azul.jpg")}`,
+      "gorro,Gorro,,9990,GOR-1,,,,",
+    ]);
+
+    assert.deepEqual(summary, { total: 3, errors: 0, locationErrors: 0 });
+
+    const polera = mock.findProduct("polera");
+    assert.equal(polera.title, "Polera");
+    assert.deepEqual(polera.variants.map((v) => [v.sku, v.option1, v.price]), [
+      ["POL-R", "Rojo", "19990.00"],
+      ["POL-A", "Azul", "19990.00"],
+    ]);
+    assert.deepEqual(polera.images.map((i) => i.src.split("?")[0].split("/").pop()), ["polera-roja.jpg", "polera-azul.jpg"]);
+    assert.equal(mock.findProduct("gorro").variants[0].sku, "GOR-1");
+
+    // Solo las ubicaciones activas
+    assert.equal(mock.getAvailable("POL-A", "Tienda Providencia"), 0);
+    assert.equal(mock.getAvailable("POL-A", "Cerrada"), undefined);
+
+    const report = await readCsvFile(outPath);
+    assert.deepEqual(report.map((r) => [r.handle, r.sku, r.result]), [
+      ["polera", "POL-R", "created_product"],
+      ["polera", "POL-A", "created_variant"],
+      ["gorro", "GOR-1", "created_product"],
+    ]);
+    assert.match(report[0].message, /^product \d+ created/);
+  });
+
+  test("re-running the same CSV updates in place without duplicating", async () => {
+    const lines = [
+      HEADER,
+      `polera,Polera,,19990,POL-R,111,Color,Rojo,${mock.imageUrl("polera-roja.jpg")}`,
+      "polera,Polera,,19990,POL-A,222,Color,Azul,",
+    ];
+    await importCsv(lines);
+    const { report, summary } = await importCsv(lines);
+
+    assert.equal(summary.errors, 0);
+    assert.deepEqual(report.map((r) => r.result), ["updated_variant", "updated_variant"]);
+    assert.equal(mock.state.products.length, 1);
+    assert.equal(mock.findProduct("polera").variants.length, 2);
+    assert.equal(mock.findProduct("polera").images.length, 1);
+  });
+
+  test("updates title, price and barcode of an existing variant", async () => {
+    mock.addProduct({
+      handle: "polera",
+      title: "Polera vieja",
+      options: [{ name: "Color" }],
+      variants: [{ sku: "POL-R", price: "10000", option1: "Rojo" }],
+    });
+
+    const { report } = await importCsv([HEADER, "polera,Polera,,19990,POL-R,999,Color,Rojo,"]);
+
+    assert.equal(report[0].result, "updated_variant");
+    const product = mock.findProduct("polera");
+    assert.equal(product.title, "Polera");
+    assert.equal(product.variants[0].price, "19990.00");
+    assert.equal(product.variants[0].barcode, "999");
+  });
+
+  test("a blank title keeps the current one and only falls back to the handle for new products", async () => {
+    const { report, summary, validation } = await importCsv([
+      HEADER,
+      "polera,Polera Roja,,19990,POL-R,,Color,Rojo,",
+      "polera,,,19990,POL-A,,Color,Azul,",
+      "gorro,,,9990,GOR-1,,,,",
+    ]);
+
+    assert.equal(summary.errors, 0);
+    assert.deepEqual(validation, { errors: 0, warnings: 0, path: null });
+    assert.equal(mock.findProduct("polera").title, "Polera Roja");
+    assert.equal(mock.findProduct("gorro").title, "gorro");
+    assert.doesNotMatch(report[1].message, /title/);
+
+    // Re-importar solo la fila sin título tampoco lo cambia
+    await importCsv([HEADER, "polera,,,19990,POL-A,,Color,Azul,"]);
+    assert.equal(mock.findProduct("polera").title, "Polera Roja");
+  });
+
+  test("imports through the GraphQL Admin API only", async () => {
+    await importCsv([HEADER, "gorro,Gorro,,9990,GOR-1,,,,"]);
+
+    assert.ok(mock.requests.every((r) => r.api === "graphql"), "no REST requests");
+    assert.deepEqual([...new Set(mock.requests.map((r) => r.operation))], [
+      "getLocations",
+      "findProductByHandle",
+      "productCreate",
+      "productVariantsBulkUpdate",
+      "getInventoryItemLevels",
+      "inventoryActivate",
+    ]);
+    const [variant] = mock.findProduct("gorro").variants;
+    assert.equal(variant.inventory_management, "shopify");
+    assert.equal(mock.getAvailable("GOR-1", "Bodega Central"), 0);
+  });
+
+  test("processes rows in parallel without racing variants of the same handle, reporting in file order", async () => {
+    const colors = ["Rojo", "Azul", "Verde", "Negro"];
+    const lines = colors.flatMap((color, i) => [
+      `polera,Polera,,19990,POL-${i},,Color,${color},`,
+      `gorro-${i},Gorro ${i},,9990,GOR-${i},,,,`,
+    ]);
+
+    const { report } = await importCsv([HEADER, ...lines], { concurrency: 8 });
+
+    assert.deepEqual(report.map((r) => r.sku), colors.flatMap((_, i) => [`POL-${i}`, `GOR-${i}`]));
+    assert.deepEqual(report.map((r) => r.line), lines.map((_, i) => i + 2));
+    assert.equal(mock.state.products.length, 5);
+    assert.deepEqual(mock.findProduct("polera").variants.map((v) => v.option1), colors);
+    assert.deepEqual(report.filter((r) => r.handle === "polera").map((r) => r.result), [
+      "created_product",
+      "created_variant",
+      "created_variant",
+      "created_variant",
+    ]);
+  });
+
+  test("adds a new option to an existing product and keeps its variants", async () => {
+    mock.addProduct({
+      handle: "polera",
+      title: "Polera",
+      options: [{ name: "Color" }],
+      variants: [{ sku: "POL-R", price: "19990", option1: "Rojo" }],
+    });
+
+    const { report } = await importCsv([
+      "handle,title,price,sku,option1_name,option1_value,option2_name,option2_value",
+      "polera,Polera,19990,POL-R,Color,Rojo,Talla,M",
+      "polera,Polera,19990,POL-R-L,Color,Rojo,Talla,L",
+    ]);
+
+    assert.deepEqual(report.map((r) => r.result), ["updated_variant", "created_variant"]);
+    const polera = mock.findProduct("polera");
+    assert.deepEqual(polera.options.map((o) => o.name), ["Color", "Talla"]);
+    assert.deepEqual(polera.variants.map((v) => [v.sku, v.option1, v.option2]), [
+      ["POL-R", "Rojo", "M"],
+      ["POL-R-L", "Rojo", "L"],
+    ]);
+  });
+
+  test("reports API errors per row and keeps going", async () => {
+    mock.failNext({
+      status: 200,
+      operation: "productCreate",
+      body: { data: { productCreate: { product: null, userErrors: [{ field: ["title"], message: "Title is too long" }] } } },
+    });
+    const { report, summary, outPath } = await importCsv([
+      HEADER,
+      "polera,Polera,,19990,POL-R,,Color,Rojo,",
+      "gorro,Gorro,,9990,GOR-1,,,,",
+    ]);
+
+    assert.equal(summary.errors, 1);
+    assert.deepEqual(report.map((r) => r.result), ["error", "created_product"]);
+
+    const rows = await readCsvFile(outPath);
+    assert.equal(rows[0].result, "error");
+    assert.match(rows[0].message, /Error creating product polera: Title is too long/);
+    assert.equal(mock.findProduct("polera"), null);
+  });
+
+  describe("locations", () => {
+    const LOCATIONS_HEADER = "handle,title,price,sku,option1_name,option1_value,locations";
+
+    test("stocks each variant at the locations of its row with initial quantities", async () => {
+      const { outPath, summary } = await importCsv([
+        LOCATIONS_HEADER,
+        "polera,Polera,19990,POL-R,Color,Rojo,Bodega Central:10; tienda providencia",
+        "polera,Polera,19990,POL-A,Color,Azul,Tienda Providencia:2",
+      ]);
+
+      assert.equal(summary.locationErrors, 0);
+      assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 10);
+      assert.equal(mock.getAvailable("POL-R", "Tienda Providencia"), 0);
+      assert.equal(mock.getAvailable("POL-A", "Tienda Providencia"), 2);
+      assert.equal(mock.getAvailable("POL-A", "Bodega Central"), undefined);
+
+      const report = await readCsvFile(outPath);
+      assert.deepEqual(report.map((r) => r.locations), [
+        "Bodega Central: ok (10); Tienda Providencia: ok",
+        "Tienda Providencia: ok (2)",
+      ]);
+    });
+
+    test("translates ERP warehouse codes with the profile aliases", async () => {
+      process.env.SHOPIFY_LOCATION_ALIASES = "BC01=Bodega Central;TP02=Tienda Providencia";
+      const { report } = await importCsv([LOCATIONS_HEADER, "polera,Polera,19990,POL-R,Color,Rojo,BC01:7;TP02"]);
+
+      assert.equal(report[0].locations, "Bodega Central: ok (7); Tienda Providencia: ok");
+      assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 7);
+    });
+
+    test("a re-import sets the quantity of levels that are already active and keeps the rest", async () => {
+      const lines = [LOCATIONS_HEADER, "polera,Polera,19990,POL-R,Color,Rojo,Bodega Central:10;Tienda Providencia:2"];
+      await importCsv(lines);
+      mock.setAvailable("POL-R", "Bodega Central", 3);
+      mock.setAvailable("POL-R", "Tienda Providencia", 6);
+      const { report, summary } = await importCsv([
+        LOCATIONS_HEADER,
+        "polera,Polera,19990,POL-R,Color,Rojo,Bodega Central:10;Tienda Providencia",
+      ]);
+
+      assert.equal(summary.locationErrors, 0);
+      assert.equal(report[0].locations, "Bodega Central: ok (10); Tienda Providencia: ok");
+      assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 10);
+      assert.equal(mock.getAvailable("POL-R", "Tienda Providencia"), 6);
+      // Solo se activan las ubicaciones nuevas; las activas se fijan comparando con la cantidad leída
+      const sets = mock.requests.filter((r) => r.operation === "inventorySetQuantities");
+      assert.equal(sets.length, 1);
+      assert.equal(sets[0].body.variables.input.quantities[0].compareQuantity, 3);
+    });
+
+    test("uses SHOPIFY_DEFAULT_LOCATIONS when the row has no locations", async () => {
+      process.env.SHOPIFY_DEFAULT_LOCATIONS = "Tienda Providencia:5";
+      await importCsv([
+        LOCATIONS_HEADER,
+        "polera,Polera,19990,POL-R,Color,Rojo,",
+        "polera,Polera,19990,POL-A,Color,Azul,Bodega Central",
+      ]);
+
+      assert.equal(mock.getAvailable("POL-R", "Tienda Providencia"), 5);
+      assert.equal(mock.getAvailable("POL-R", "Bodega Central"), undefined);
+      assert.equal(mock.getAvailable("POL-A", "Bodega Central"), 0);
+      assert.equal(mock.getAvailable("POL-A", "Tienda Providencia"), undefined);
+
+      process.env.SHOPIFY_DEFAULT_LOCATIONS = "Bodega Central:muchos";
+      await assert.rejects(importCsv([LOCATIONS_HEADER]), /Invalid SHOPIFY_DEFAULT_LOCATIONS: Invalid quantity "muchos"/);
+    });
+
+    test("reports failed locations per row and keeps stocking the rest", async () => {
+      const { report, summary } = await importCsv([
+        LOCATIONS_HEADER,
+        "polera,Polera,19990,POL-R,Color,Rojo,Tienda Providencia:4;Cerrada;Sucursal Fantasma",
+      ]);
+
+      assert.equal(summary.errors, 0);
+      assert.equal(summary.locationErrors, 1);
+      assert.equal(report[0].result, "created_product");
+      assert.equal(
+        report[0].locations,
+        "Tienda Providencia: ok (4); Cerrada: error - location is inactive; Sucursal Fantasma: error - location not found"
+      );
+      assert.equal(mock.getAvailable("POL-R", "Tienda Providencia"), 4);
+    });
+
+    test("a connection failure does not stop the other locations and --resume retries it", async () => {
+      // La activación en la primera ubicación falla en todos los reintentos
+      mock.failNext({ status: 503, headers: { "Retry-After": "0" }, operation: "inventoryActivate", times: 6 });
+      const lines = [LOCATIONS_HEADER, "polera,Polera,19990,POL-R,Color,Rojo,Bodega Central;Tienda Providencia:4"];
+      const { report, summary } = await importCsv(lines);
+
+      assert.equal(summary.locationErrors, 1);
+      assert.match(report[0].locations, /^Bodega Central: error - .*503.*; Tienda Providencia: ok \(4\)$/);
+      assert.equal(mock.getAvailable("POL-R", "Bodega Central"), undefined);
+      assert.equal(mock.getAvailable("POL-R", "Tienda Providencia"), 4);
+
+      const resumed = await importCsv(lines, { resume: true });
+      assert.equal(resumed.summary.locationErrors, 0);
+      assert.equal(resumed.report[0].result, "updated_variant");
+      assert.equal(mock.getAvailable("POL-R", "Bodega Central"), 0);
+    });
+
+    test("rejects rows with an invalid locations cell and plans the rest", async () => {
+      const { report } = await importCsv(
+        [
+          LOCATIONS_HEADER,
+          "polera,Polera,19990,POL-R,Color,Rojo,Bodega Central:-1",
+          "gorro,Gorro,9990,GOR-1,,,Bodega Central:1;Sucursal Fantasma",
+        ],
+        { dryRun: true }
+      );
+
+      assert.equal(report[0].result, "error");
+      assert.match(report[0].message, /Invalid quantity \\"-1\\" for location Bodega Central/);
+      assert.equal(report[1].locations, "Bodega Central (1); Sucursal Fantasma: error - location not found");
+    });
+  });
+
+  describe("images", () => {
+    const IMAGES_HEADER = `${HEADER},image_alt,image_position`;
+
+    test("re-imports do not upload the same image again although Shopify rewrote its src", async () => {
+      const lines = [
+        IMAGES_HEADER,
+        `polera,Polera,,19990,POL-R,,Color,Rojo,${mock.imageUrl("frente.jpg")};${mock.imageUrl("espalda.jpg")},Frente;Espalda,`,
+      ];
+      await importCsv(lines);
+      const polera = mock.findProduct("polera");
+      assert.deepEqual(polera.images.map((i) => i.alt), ["Frente", "Espalda"]);
+      assert.match(polera.images[0].src, /^https:\/\/cdn\.shopify\.com\//);
+
+      mock.requests.length = 0;
+      const { report } = await importCsv(lines);
+      assert.equal(report[0].result, "updated_variant");
+      assert.ok(!mock.requests.some((r) => /Media/.test(r.operation)), "no image requests on re-import");
+      assert.equal(polera.images.length, 2);
+
+      const plan = await importCsv(lines, { dryRun: true });
+      assert.equal(plan.report[0].result, "no_change");
+    });
+
+    test("updates alt text and position of images already on the product", async () => {
+      const first = mock.imageUrl("frente.jpg");
+      const second = mock.imageUrl("espalda.jpg");
+      await importCsv([IMAGES_HEADER, `polera,Polera,,19990,POL-R,,Color,Rojo,${first};${second},Frente;,`]);
+
+      const { report } = await importCsv(
+        [IMAGES_HEADER, `polera,Polera,,19990,POL-R,,Color,Rojo,${second},Vista trasera,1`],
+        { dryRun: true }
+      );
+      assert.match(report[0].changes, /images: ~ .*espalda\.jpg \(alt, position\)/);
+
+      await importCsv([IMAGES_HEADER, `polera,Polera,,19990,POL-R,,Color,Rojo,${second},Vista trasera,1`]);
+      const polera = mock.findProduct("polera");
+      assert.deepEqual(polera.images.map((i) => [i.alt, i.position]), [
+        ["Vista trasera", 1],
+        ["Frente", 2],
+      ]);
+    });
+
+    test("skips unreachable or non-image URLs without failing the row", async () => {
+      const { report, summary } = await importCsv([
+        HEADER,
+        `gorro,Gorro,,9990,GOR-1,,,,${mock.imageUrl("gorro.jpg")};${mock.imageUrl("redirect.html")};${mock.imageUrl("borrada.jpeg.bak")}`,
+      ]);
+
+      assert.equal(summary.errors, 0);
+      assert.equal(report[0].result, "created_product");
+      assert.match(report[0].message, /skipped image\(s\): .*redirect\.html \(not an image \(content-type text\/html\)\), .*borrada\.jpeg\.bak \(HTTP 404\)/);
+      assert.equal(mock.findProduct("gorro").images.length, 1);
+    });
+
+    test("uploads local files through staged uploads and dedupes them by content", async () => {
+      fs.mkdirSync(path.join(dir, "fotos"));
+      fs.writeFileSync(path.join(dir, "fotos", "bufanda.png"), "png-bytes");
+      await importCsv([HEADER, "bufanda,Bufanda,,12990,BUF-1,,,,fotos/bufanda.png"]);
+
+      assert.deepEqual(mock.uploads.map((u) => u.filename), ["bufanda.png"]);
+      const bufanda = mock.findProduct("bufanda");
+      assert.equal(bufanda.images.length, 1);
+
+      // Mismo contenido con otro nombre: no se vuelve a subir
+      fs.renameSync(path.join(dir, "fotos", "bufanda.png"), path.join(dir, "fotos", "bufanda-2.png"));
+      await importCsv([HEADER, "bufanda,Bufanda,,12990,BUF-1,,,,fotos/bufanda-2.png"]);
+      assert.equal(mock.uploads.length, 1);
+      assert.equal(bufanda.images.length, 1);
+    });
+
+    test("keeps matching images uploaded before the source metafield existed by src", async () => {
+      const src = mock.imageUrl("legacy.jpg");
+      mock.addProduct({ handle: "polera", options: [{ name: "Color" }], variants: [{ sku: "POL-R", option1: "Rojo" }], images: [{ src }] });
+
+      await importCsv([HEADER, `polera,Polera,,0,POL-R,,Color,Rojo,${src}`]);
+      const polera = mock.findProduct("polera");
+      assert.equal(polera.images.length, 1);
+      assert.equal(JSON.parse(polera.metafields["pinlab.image_sources"])[src], polera.images[0].id);
+    });
+
+    test("recognizes image keys saved by the REST importer (image id instead of media id)", async () => {
+      const src = mock.imageUrl("frente.jpg");
+      const polera = mock.addProduct({
+        handle: "polera",
+        options: [{ name: "Color" }],
+        variants: [{ sku: "POL-R", option1: "Rojo" }],
+        images: [{ src: "https://cdn.shopify.com/s/files/1/0000/0001/products/frente.jpg?v=1" }],
+      });
+      polera.metafields["pinlab.image_sources"] = JSON.stringify({ [src]: polera.images[0].image_id });
+
+      await importCsv([HEADER, `polera,Polera,,0,POL-R,,Color,Rojo,${src}`]);
+      assert.equal(polera.images.length, 1);
+      assert.equal(JSON.parse(polera.metafields["pinlab.image_sources"])[src], polera.images[0].id);
+    });
+  });
+
+  describe("attributes", () => {
+    const ATTRIBUTES_HEADER =
+      "handle,title,price,sku,vendor,product_type,tags,status,seo_title,seo_description,compare_at_price,weight,weight_unit,taxable,requires_shipping,metafield:custom.material,metafield:custom.cuidado:multi_line_text_field";
+    const ATTRIBUTES_ROW =
+      "gorro,Gorro,9990,GOR-1,Pinlab,Accesorios,\"lana, invierno\",draft,Gorro de lana,Abriga,12990,0.2,kg,false,false,Lana,Lavar a mano";
+
+    test("creates products with vendor, type, tags, status, SEO, variant attributes and metafields", async () => {
+      const { summary } = await importCsv([ATTRIBUTES_HEADER, ATTRIBUTES_ROW]);
+
+      assert.equal(summary.errors, 0);
+      const gorro = mock.findProduct("gorro");
+      assert.equal(gorro.vendor, "Pinlab");
+      assert.equal(gorro.product_type, "Accesorios");
+      assert.equal(gorro.tags, "invierno, lana");
+      assert.equal(gorro.status, "draft");
+      assert.deepEqual(gorro.seo, { title: "Gorro de lana", description: "Abriga" });
+      assert.deepEqual(gorro.metafields, { "custom.material": "Lana", "custom.cuidado": "Lavar a mano" });
+
+      const [variant] = gorro.variants;
+      assert.equal(variant.compare_at_price, "12990.00");
+      assert.equal(variant.weight, 0.2);
+      assert.equal(variant.weight_unit, "kg");
+      assert.equal(variant.taxable, false);
+      assert.equal(mock.state.inventoryItems.get(variant.inventory_item_id).requires_shipping, false);
+    });
+
+    test("re-importing the same attributes plans no_change and writes nothing", async () => {
+      await importCsv([ATTRIBUTES_HEADER, ATTRIBUTES_ROW]);
+      mock.requests.length = 0;
+
+      const { report } = await importCsv([ATTRIBUTES_HEADER, ATTRIBUTES_ROW.replace("lana, invierno", "invierno,lana")], { dryRun: true });
+
+      assert.equal(report[0].result, "no_change");
+      assert.equal(report[0].changes, "");
+      assert.ok(mock.requests.every((r) => /^\s*query /.test(r.body.query)), "plan mode must not write");
+    });
+
+    test("updates only the attributes that differ and leaves empty cells untouched", async () => {
+      mock.addProduct({
+        handle: "gorro",
+        title: "Gorro",
+        vendor: "Otro",
+        product_type: "Accesorios",
+        tags: "lana",
+        variants: [{ sku: "GOR-1", price: "9990", weight: 0.2, weight_unit: "kg" }],
+        metafields: [{ namespace: "custom", key: "material", value: "Lana" }],
+      });
+
+      const { report } = await importCsv(
+        [
+          "handle,title,price,sku,vendor,product_type,tags,status,weight,metafield:custom.material,metafield:custom.origen",
+          "gorro,Gorro,9990,GOR-1,Pinlab,Accesorios,,,0.2,Lana,Chile",
+        ],
+        { dryRun: true }
+      );
+      assert.equal(report[0].result, "update_variant");
+      assert.equal(report[0].changes, "vendor: Otro → Pinlab; custom.origen: (empty) → Chile");
+
+      await importCsv([
+        "handle,title,price,sku,vendor,product_type,tags,status,weight,metafield:custom.material,metafield:custom.origen",
+        "gorro,Gorro,9990,GOR-1,Pinlab,Accesorios,,,0.2,Lana,Chile",
+      ]);
+      const gorro = mock.findProduct("gorro");
+      assert.equal(gorro.vendor, "Pinlab");
+      assert.equal(gorro.tags, "lana");
+      assert.equal(gorro.status, "active");
+      assert.deepEqual(gorro.metafields, { "custom.material": "Lana", "custom.origen": "Chile" });
+
+      const { input } = mock.requests.find((r) => r.operation === "productUpdate").body.variables;
+      assert.deepEqual(Object.keys(input).sort(), ["id", "metafields", "vendor"]);
+      assert.deepEqual(input.metafields.map((m) => m.key), ["origen"]);
+    });
+
+    test("updates requires_shipping on the inventory item of an existing variant", async () => {
+      mock.addProduct({ handle: "gorro", title: "Gorro", variants: [{ sku: "GOR-1", price: "9990" }] });
+
+      const { report } = await importCsv(["handle,title,price,sku,requires_shipping", "gorro,Gorro,9990,GOR-1,no"]);
+
+      assert.equal(report[0].result, "updated_variant");
+      const [variant] = mock.findProduct("gorro").variants;
+      assert.equal(mock.state.inventoryItems.get(variant.inventory_item_id).requires_shipping, false);
+    });
+
+    test("rejects rows with an invalid status, unit or number", async () => {
+      const { report, summary } = await importCsv([
+        "handle,title,price,sku,status,weight_unit,compare_at_price",
+        "gorro,Gorro,9990,GOR-1,published,,",
+        "bufanda,Bufanda,9990,BUF-1,,stone,",
+        "guante,Guante,9990,GUA-1,,,barato",
+      ], { force: true });
+
+      assert.equal(summary.errors, 3);
+      assert.match(report[0].message, /Invalid status \\"published\\"/);
+      assert.match(report[1].message, /Invalid weight_unit/);
+      assert.match(report[2].message, /Invalid compare_at_price/);
+      assert.equal(mock.findProduct("gorro"), null);
+    });
+
+    test("reads a comma decimal price as a number and does not report it as a change afterwards", async () => {
+      const lines = ["handle,title,price,sku,compare_at_price", "gorro,Gorro,\"9,5\",GOR-1,\"12,5\""];
+      const { summary } = await importCsv(lines);
+
+      assert.equal(summary.errors, 0);
+      const [variant] = mock.findProduct("gorro").variants;
+      assert.equal(variant.price, "9.50");
+      assert.equal(variant.compare_at_price, "12.50");
+
+      const { report } = await importCsv(lines, { dryRun: true });
+      assert.deepEqual([report[0].result, report[0].changes], ["no_change", ""]);
+
+      const { report: invalid } = await importCsv(["handle,title,price,sku", "gorro,Gorro,barato,GOR-1"], { force: true });
+      assert.match(invalid[0].message, /Invalid price \\"barato\\"/);
+    });
+  });
+
+  test("keeps the hidden default option of simple products", async () => {
+    mock.addProduct({ handle: "gorro", title: "Gorro", variants: [{ sku: "GOR-1", price: "9990" }] });
+
+    const { report: plan } = await importCsv([HEADER, "gorro,Gorro,,9990,GOR-1,,,,", "bufanda,Bufanda,,5990,BUF-1,,,,"], {
+      dryRun: true,
+    });
+    assert.deepEqual(plan.map((r) => [r.result, r.changes]), [
+      ["no_change", ""],
+      ["create_product", "title: (empty) → Bufanda; options: (empty) → Title=Default Title; price: (empty) → 5990"],
+    ]);
+
+    await importCsv([HEADER, "gorro,Gorro,,9990,GOR-1,,,,", "bufanda,Bufanda,,5990,BUF-1,,,,"]);
+    for (const handle of ["gorro", "bufanda"]) {
+      const product = mock.findProduct(handle);
+      assert.deepEqual(product.options.map((o) => [o.name, o.values]), [["Title", ["Default Title"]]]);
+      assert.equal(product.variants[0].option1, "Default Title");
+    }
+    const create = mock.requests.find((r) => r.operation === "productCreate");
+    assert.equal(create.body.variables.input.productOptions, undefined);
+
+    // Con opciones en la fila, las de la fila reemplazan a la oculta
+    await importCsv([HEADER, "gorro,Gorro,,9990,GOR-1,,Color,Negro,"]);
+    const gorro = mock.findProduct("gorro");
+    assert.deepEqual(gorro.options.map((o) => o.name), ["Color"]);
+    assert.deepEqual(gorro.variants.map((v) => [v.sku, v.option1]), [["GOR-1", "Negro"]]);
+  });
+
+  test("rejects rows whose option names differ from the first row of the handle", async () => {
+    const { report } = await importCsv([
+      "handle,title,price,sku,option1_name,option1_value",
+      "polera,Polera,19990,POL-R,Color,Rojo",
+      "polera,Polera,19990,POL-M,Talla,M",
+    ]);
+
+    assert.equal(report[1].result, "error");
+    assert.match(report[1].message, /differ from line 2/);
+    assert.equal(mock.findProduct("polera").variants.length, 1);
+  });
+
+  test("plan mode resolves every row without writing", async () => {
+    mock.addProduct({
+      handle: "polera",
+      title: "Polera",
+      options: [{ name: "Color" }],
+      variants: [{ sku: "POL-R", price: "19990", option1: "Rojo" }],
+    });
+
+    const { report, summary, outPath } = await importCsv(
+      [
+        HEADER,
+        "polera,Polera,,19990,POL-R,,Color,Rojo,",
+        "polera,Polera,,24990,POL-A,,Color,Azul,",
+        "gorro,Gorro,,9990,GOR-1,,,,",
+      ],
+      { dryRun: true }
+    );
+
+    assert.deepEqual(summary.actions, { no_change: 1, create_variant: 1, create_product: 1 });
+    assert.deepEqual(report.map((r) => r.result), ["no_change", "create_variant", "create_product"]);
+    assert.ok(mock.requests.every((r) => /^\s*query /.test(r.body.query)), "plan mode must not write");
+
+    const rows = await readCsvFile(outPath);
+    assert.deepEqual(Object.keys(rows[0]), ["line", "handle", "sku", "action", "changes", "message", "locations"]);
+    assert.deepEqual(rows.map((r) => r.line), ["2", "3", "4"]);
+  });
+
+  describe("resume", () => {
+    const lines = [
+      HEADER,
+      "polera,Polera,,19990,POL-R,,Color,Rojo,",
+      "gorro,Gorro,,9990,GOR-1,,,,",
+      "bufanda,Bufanda,,12990,BUF-1,,,,",
+    ];
+    const journalFiles = () => fs.readdirSync(path.join(dir, "journal"));
+
+    test("retries only the rows that failed in the previous run", async () => {
+      // El primer productCreate falla en todos los reintentos (ej: se cayó la red); una fila
+      // a la vez para que todas las fallas le toquen a la misma
+      mock.failNext({ status: 503, headers: { "Retry-After": "0" }, operation: "productCreate", times: 6 });
+      const first = await importCsv(lines, { concurrency: 1 });
+      assert.deepEqual(first.report.map((r) => r.result), ["error", "created_product", "created_product"]);
+      assert.equal(journalFiles().length, 1, "the journal is kept while rows are pending");
+
+      mock.requests.length = 0;
+      const { report, summary } = await importCsv(lines, { resume: true });
+
+      assert.equal(summary.errors, 0);
+      assert.deepEqual(report.map((r) => [r.line, r.sku, r.result]), [
+        [2, "POL-R", "created_product"],
+        [3, "GOR-1", "created_product"],
+        [4, "BUF-1", "created_product"],
+      ]);
+      assert.deepEqual(
+        mock.requests.filter((r) => r.operation === "findProductByHandle").map((r) => r.body.variables.handle),
+        ["polera"]
+      );
+      assert.equal(mock.state.products.length, 3);
+      assert.deepEqual(journalFiles(), [], "a clean run removes the journal");
+    });
+
+    test("starts over without --resume or when the file changed", async () => {
+      mock.failNext({ status: 503, headers: { "Retry-After": "0" }, operation: "productCreate", times: 6 });
+      await importCsv(lines, { concurrency: 1 });
+
+      const changed = await importCsv([...lines, "gorra,Gorra,,7990,GORRA-1,,,,"], { resume: true });
+      assert.deepEqual(changed.report.map((r) => r.result), [
+        "created_product",
+        "updated_variant",
+        "updated_variant",
+        "created_product",
+      ]);
+
+      const fresh = await importCsv(lines);
+      assert.equal(fresh.report.length, 3);
+      assert.ok(fresh.report.every((r) => r.result === "updated_variant"));
+    });
+
+    test("plan mode neither reads nor writes the journal", async () => {
+      await importCsv(lines, { dryRun: true, resume: true });
+      assert.equal(fs.existsSync(path.join(dir, "journal")), false);
+    });
+  });
+
+  test("refuses to import a CSV with blocking validation errors and writes a line-numbered report", async () => {
+    const lines = [
+      "handle,title,price,sku,barcode",
+      "polera,Polera,19990,POL-R,4006381333931",
+      "polera,Polera Roja,19990,POL-R,4006381333932",
+      "gorro,Gorro,,GOR-1,",
+    ];
+
+    await assert.rejects(importCsv(lines), /CSV validation failed with 4 error\(s\), nothing was written/);
+    assert.equal(mock.findProduct("polera"), null);
+    assert.equal(mock.requests.filter((r) => r.api === "graphql" && /^\s*mutation/.test(r.body.query)).length, 0);
+    const validation = await readCsvFile(path.join(dir, "report.validation.csv"));
+    assert.deepEqual(validation.map((r) => [r.line, r.column, r.severity]), [
+      ["3", "sku", "error"],
+      ["3", "barcode", "error"],
+      ["3", "title", "error"],
+      ["4", "price", "error"],
+    ]);
+
+    const { summary } = await importCsv(lines, { force: true });
+    assert.equal(mock.findProduct("polera").variants.length, 1);
+    assert.equal(summary.total, 3);
+  });
+
+  test("fails fast when the CSV does not exist", async () => {
+    await assert.rejects(
+      run({ file: path.join(dir, "missing.csv"), report: path.join(dir, "report.csv"), logger: silentLogger() }),
+      /CSV file not found/
+    );
+  });
+});
@@ -0,0 +1,65 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createShopifyClient } from "../scripts/lib/shopify-client.js";
+import { startMockShopify } from "./helpers/mock-shopify.js";
+import { silentLogger } from "./helpers/fixtures.js";
+
+const LOCATIONS_QUERY = `query getLocations($after: String) {
+  locations(first: 250, after: $after) { pageInfo { hasNextPage endCursor } nodes { id name isActive } }
+}`;
+
+describe("shopify-client", () => {
+  let mock;
+  let api;
+
+  beforeEach(async () => {
+    mock = await startMockShopify();
+    mock.addLocation("Bodega Central");
+    api = createShopifyClient({
+      store: "test-shop.myshopify.com",
+      token: "shpat_test",
+      apiVersion: "2024-10",
+      baseUrl: mock.url,
+      logger: silentLogger(),
+      maxRetries: 2,
+    });
+  });
+
+  afterEach(() => mock.close());
+
+  test("sends the access token and syncs the REST bucket from the call limit header", async () => {
+    const res = await api.rest.get("/locations.json");
+
+    assert.equal(res.data.locations[0].name, "Bodega Central");
+    assert.equal(api.throttle.rest.capacity, 40);
+    assert.ok(api.throttle.rest.available <= 39);
+  });
+
+  test("retries 429 responses honouring Retry-After", async () => {
+    mock.failNext({ status: 429, headers: { "Retry-After": "0.05" }, body: { errors: "Exceeded 2 calls per second" } });
+
+    const res = await api.rest.get("/locations.json");
+
+    assert.equal(res.status, 200);
+    assert.equal(mock.requests.length, 2);
+  });
+
+  test("retries 5xx responses and gives up after maxRetries", async () => {
+    mock.failNext({ status: 503, api: "rest" });
+    mock.failNext({ status: 503, api: "rest" });
+    mock.failNext({ status: 503, api: "rest" });
+
+    await assert.rejects(api.rest.get("/locations.json"), (err) => err.response.status === 503);
+    assert.equal(mock.requests.length, 3);
+  });
+
+  test("retries THROTTLED GraphQL errors and syncs the cost bucket", async () => {
+    mock.failNext({ api: "graphql", throttled: true });
+
+    const res = await api.graphql.post("", { query: LOCATIONS_QUERY });
+
+    assert.equal(res.data.data.locations.nodes[0].name, "Bodega Central");
+    assert.equal(mock.requests.length, 2);
+    assert.equal(api.throttle.graphql.capacity, 2000);
+  });
+});
@@ -0,0 +1,79 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { fromShopifyExport, isShopifyExport } from "../scripts/lib/shopify-csv.js";
+
+const row = (fields) => ({
+  Handle: "polera",
+  Title: "",
+  "Option1 Name": "",
+  "Option1 Value": "",
+  "Variant SKU": "",
+  "Variant Price": "",
+  "Image Src": "",
+  "Image Position": "",
+  "Image Alt Text": "",
+  "Variant Image": "",
+  ...fields,
+});
+
+describe("shopify-csv", () => {
+  test("detects the native export by its headers", () => {
+    assert.ok(isShopifyExport(Object.keys(row({}))));
+    assert.ok(!isShopifyExport(["handle", "sku", "price"]));
+  });
+
+  test("collects images with alt text and position on the first variant", () => {
+    const rows = fromShopifyExport([
+      row({ Title: "Polera", "Option1 Name": "Color", "Option1 Value": "Rojo", "Variant SKU": "POL-R", "Image Src": "b.jpg", "Image Position": "2", "Image Alt Text": "Espalda" }),
+      row({ "Option1 Value": "Azul", "Variant SKU": "POL-A", "Variant Image": "azul.jpg" }),
+      row({ "Image Src": "a.jpg", "Image Position": "1", "Image Alt Text": "Frente" }),
+      row({ "Image Src": "b.jpg", "Image Position": "3" }),
+    ]);
+
+    assert.equal(rows.length, 2);
+    assert.equal(rows[1].title, "Polera");
+    assert.equal(rows[0].images, "a.jpg;b.jpg;azul.jpg");
+    assert.equal(rows[0].image_alt, "Frente;Espalda;");
+    assert.equal(rows[0].image_position, "1;2;");
+    assert.equal(rows[1].images, undefined);
+  });
+
+  test("maps vendor, type, tags, status, SEO, variant attributes and metafields", () => {
+    const rows = fromShopifyExport([
+      row({
+        Title: "Gorro",
+        Vendor: "Pinlab",
+        Type: "Accesorios",
+        Tags: "lana, invierno",
+        Status: "draft",
+        "SEO Title": "Gorro de lana",
+        "SEO Description": "Abriga",
+        "Material (product.metafields.custom.material)": "Lana",
+        "Variant SKU": "GOR-1",
+        "Variant Compare At Price": "12990",
+        "Variant Grams": "200",
+        "Variant Weight Unit": "kg",
+        "Variant Taxable": "FALSE",
+        "Variant Requires Shipping": "TRUE",
+      }),
+      row({ "Variant SKU": "GOR-2", "Variant Grams": "150", "Variant Weight Unit": "g" }),
+    ]);
+
+    assert.equal(rows[0].vendor, "Pinlab");
+    assert.equal(rows[0].product_type, "Accesorios");
+    assert.equal(rows[0].tags, "lana, invierno");
+    assert.equal(rows[0].status, "draft");
+    assert.equal(rows[0].seo_title, "Gorro de lana");
+    assert.equal(rows[0].seo_description, "Abriga");
+    assert.equal(rows[0]["metafield:custom.material"], "Lana");
+    assert.deepEqual(
+      [rows[0].compare_at_price, rows[0].weight, rows[0].weight_unit, rows[0].taxable, rows[0].requires_shipping],
+      ["12990", "0.2", "kg", "FALSE", "TRUE"]
+    );
+
+    // La segunda variante hereda los campos de producto
+    assert.equal(rows[1].vendor, "Pinlab");
+    assert.equal(rows[1]["metafield:custom.material"], "Lana");
+    assert.deepEqual([rows[1].weight, rows[1].weight_unit], ["150", "g"]);
+  });
+});
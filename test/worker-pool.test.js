@@ -0,0 +1,68 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { runPool } from "../scripts/lib/worker-pool.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("worker-pool", () => {
+  test("returns results in input order with at most `concurrency` tasks running", async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await runPool(
+      [30, 5, 20, 1, 10, 2],
+      async (ms, i) => {
+        running++;
+        peak = Math.max(peak, running);
+        await sleep(ms);
+        running--;
+        return `${i}:${ms}`;
+      },
+      { concurrency: 3 }
+    );
+
+    assert.deepEqual(results, ["0:30", "1:5", "2:20", "3:1", "4:10", "5:2"]);
+    assert.equal(peak, 3);
+  });
+
+  test("runs tasks that share a key one after another, in input order", async () => {
+    const items = [
+      { handle: "polera", sku: "POL-R", ms: 20 },
+      { handle: "gorro", sku: "GOR-1", ms: 1 },
+      { handle: "polera", sku: "POL-A", ms: 1 },
+      { handle: "bufanda", sku: "POL-R", ms: 1 },
+    ];
+    const events = [];
+    await runPool(
+      items,
+      async (item) => {
+        events.push(`start ${item.sku}@${item.handle}`);
+        await sleep(item.ms);
+        events.push(`end ${item.sku}@${item.handle}`);
+      },
+      { concurrency: 4, keysOf: (item) => [item.handle, item.sku] }
+    );
+
+    // gorro no espera a polera; POL-A (mismo handle) y bufanda (mismo SKU) sí
+    assert.ok(events.indexOf("end GOR-1@gorro") < events.indexOf("end POL-R@polera"));
+    assert.ok(events.indexOf("start POL-A@polera") > events.indexOf("end POL-R@polera"));
+    assert.ok(events.indexOf("start POL-R@bufanda") > events.indexOf("end POL-R@polera"));
+  });
+
+  test("stops starting tasks after an error and rethrows it once the running ones finish", async () => {
+    const done = [];
+    await assert.rejects(
+      runPool(
+        [1, 2, 3, 4, 5],
+        async (n) => {
+          await sleep(n === 2 ? 1 : 5);
+          if (n === 2) throw new Error("network down");
+          done.push(n);
+        },
+        { concurrency: 2 }
+      ),
+      /network down/
+    );
+
+    assert.deepEqual(done, [1]);
+  });
+});